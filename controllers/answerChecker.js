@@ -0,0 +1,244 @@
+// controllers/answerChecker.js - Corrección de Respuestas del Juego Math Battle
+
+/**
+ * ANSWERCHECKER - Corrección única de respuestas compartida por QuestionBank y GameLogic
+ *
+ * Funcionalidades principales:
+ * - Opción múltiple: comparación de texto sin mayúsculas ni espacios
+ * - Respuesta numérica libre: enteros, decimales, separadores de miles y fracciones
+ * - Tolerancia absoluta y relativa por pregunta (ej. áreas con π ≈ 3.14)
+ * - Verdadero/falso, selección múltiple con crédito parcial y ordenación
+ */
+
+class AnswerChecker {
+    constructor() {
+        // Margen para errores de coma flotante al comparar números
+        this.epsilon = 1e-9;
+
+        // Unidades que el alumno puede escribir tras el número ("20 cm", "113.04 cm²", "45°")
+        this.unitPattern = /\s*(?:[a-zA-Zµ]+[²³]?|°|%)$/;
+
+        // Opciones de las preguntas de verdadero/falso
+        this.trueFalseOptions = ['Verdadero', 'Falso'];
+    }
+
+    /**
+     * Verificar si una respuesta es correcta
+     * @param {Object} question - Pregunta ({ type, correctAnswer, tolerance })
+     * @param {string|number|Array} answer - Respuesta del jugador
+     * @returns {boolean} true si es correcta
+     */
+    check(question, answer) {
+        return this.grade(question, answer).isCorrect;
+    }
+
+    /**
+     * Corregir una respuesta con crédito parcial
+     * @param {Object} question - Pregunta ({ type, correctAnswer, tolerance })
+     * @param {string|number|boolean|Array} answer - Respuesta del jugador
+     * @returns {Object} { isCorrect, credit } con credit entre 0 y 1
+     */
+    grade(question, answer) {
+        if (answer === null || answer === undefined) {
+            return { isCorrect: false, credit: 0 };
+        }
+
+        let isCorrect;
+        switch (question.type) {
+            case 'numeric':
+                isCorrect = this.checkNumeric(question, answer);
+                break;
+            case 'true_false':
+                isCorrect = this.normalizeText(this.toTrueFalse(answer)) === this.normalizeText(this.toTrueFalse(question.correctAnswer));
+                break;
+            case 'multi_select':
+                return this.gradeMultiSelect(question, answer);
+            case 'ordering':
+                isCorrect = this.checkOrdering(question, answer);
+                break;
+            default:
+                isCorrect = this.checkChoice(question, answer);
+        }
+
+        return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    /**
+     * Convertir una respuesta de verdadero/falso al texto de su opción
+     * Acepta booleanos y "true"/"false" además de "Verdadero"/"Falso"
+     * @param {string|boolean} value - Valor a convertir
+     * @returns {string} 'Verdadero', 'Falso' o el texto original
+     */
+    toTrueFalse(value) {
+        const [trueOption, falseOption] = this.trueFalseOptions;
+        const text = this.normalizeText(value);
+
+        if (value === true || ['true', 'v', this.normalizeText(trueOption)].includes(text)) return trueOption;
+        if (value === false || ['false', 'f', this.normalizeText(falseOption)].includes(text)) return falseOption;
+        return String(value);
+    }
+
+    /**
+     * Convertir texto escrito por un alumno en número
+     * Acepta "2904", "2,904", "2 904", "0.5", "0,5", "1/2", "-3/4", "1 1/2" y unidades al final
+     * @param {string|number} value - Valor a interpretar
+     * @returns {number|null} Número o null si no se puede interpretar
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const text = value.trim().replace(/[−–]/g, '-').replace(this.unitPattern, '').trim();
+
+        // Número mixto: "1 1/2"
+        const mixed = text.match(/^([+-]?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+        if (mixed) {
+            const [, sign, whole, numerator, denominator] = mixed;
+            if (Number(denominator) === 0) return null;
+            const magnitude = Number(whole) + Number(numerator) / Number(denominator);
+            return sign === '-' ? -magnitude : magnitude;
+        }
+
+        // Fracción: "3/4", "-3/4"
+        const fraction = text.match(/^([+-]?[\d.,]+)\s*\/\s*([+-]?[\d.,]+)$/);
+        if (fraction) {
+            const numerator = this.parseDecimal(fraction[1]);
+            const denominator = this.parseDecimal(fraction[2]);
+            return numerator !== null && denominator ? numerator / denominator : null;
+        }
+
+        return this.parseDecimal(text);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Verificar una respuesta de opción múltiple
+     * Mismo texto, o mismo número escrito de otra forma ("2904" y "2,904")
+     * Si la pregunta pide la fracción simplificada (lowestTerms), solo vale el mismo texto: 12/21 no es 4/7
+     * @private
+     */
+    checkChoice(question, answer) {
+        if (this.normalizeText(answer) === this.normalizeText(question.correctAnswer)) {
+            return true;
+        }
+
+        if (question.lowestTerms) {
+            return false;
+        }
+
+        const expected = this.parseNumber(question.correctAnswer);
+        const given = this.parseNumber(answer);
+        return expected !== null && given !== null && Math.abs(expected - given) <= this.epsilon;
+    }
+
+    /**
+     * Corregir una selección múltiple ("marca todas las correctas")
+     * Crédito parcial: (aciertos - opciones incorrectas marcadas) / total de correctas
+     * @private
+     */
+    gradeMultiSelect(question, answer) {
+        const expected = new Set(this.toList(question.correctAnswer).map(option => this.normalizeText(option)));
+        const selected = new Set(this.toList(answer).map(option => this.normalizeText(option)));
+
+        const hits = [...selected].filter(option => expected.has(option)).length;
+        const misses = selected.size - hits;
+
+        const isCorrect = hits === expected.size && misses === 0;
+        const credit = expected.size ? Math.max(0, (hits - misses) / expected.size) : 0;
+
+        return { isCorrect, credit: isCorrect ? 1 : Math.round(credit * 100) / 100 };
+    }
+
+    /**
+     * Verificar una ordenación (todos los elementos en su posición)
+     * @private
+     */
+    checkOrdering(question, answer) {
+        const expected = this.toList(question.correctAnswer);
+        const given = this.toList(answer);
+
+        return given.length === expected.length &&
+            expected.every((item, index) => this.normalizeText(item) === this.normalizeText(given[index]));
+    }
+
+    /**
+     * Respuesta como lista (las de varias opciones llegan como array)
+     * @private
+     */
+    toList(value) {
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Verificar una respuesta numérica con la tolerancia de la pregunta
+     * @private
+     */
+    checkNumeric(question, answer) {
+        const expected = this.parseNumber(question.correctAnswer);
+        const given = this.parseNumber(answer);
+
+        if (expected === null || given === null) {
+            return false;
+        }
+
+        const { absolute = 0, relative = 0 } = question.tolerance || {};
+        const allowed = Math.max(absolute, relative * Math.abs(expected)) + this.epsilon;
+
+        // Una sola lectura (la de parseDecimal): "2.904" es decimal y "2,904" son miles
+        return Math.abs(expected - given) <= allowed;
+    }
+
+    /**
+     * Interpretar un número con separadores de miles o decimales
+     * El "." es decimal, como en los generadores ("113.04", "2.904"); la "," es de miles si agrupa
+     * de tres en tres ("1,234", "2,904") y decimal si no ("0,5", "3,14").
+     * Con "," y "." a la vez, el último es el decimal; "1.234.567" son miles
+     * @private
+     */
+    parseDecimal(text) {
+        let normalized = text.replace(/(\d)\s+(?=\d{3}\b)/g, '$1'); // "2 904"
+
+        if (!/^[+-]?(\d|[.,]\d)[\d.,]*$/.test(normalized)) {
+            return null;
+        }
+
+        const lastComma = normalized.lastIndexOf(',');
+        const lastDot = normalized.lastIndexOf('.');
+
+        if (lastComma !== -1 && lastDot !== -1) {
+            const decimalSeparator = lastComma > lastDot ? ',' : '.';
+            const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+            normalized = normalized.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+        } else if (lastComma !== -1) {
+            normalized = /^[+-]?\d{1,3}(,\d{3})+$/.test(normalized)
+                ? normalized.replace(/,/g, '')
+                : normalized.replace(',', '.');
+        } else if (/^[+-]?\d{1,3}(\.\d{3}){2,}$/.test(normalized)) {
+            normalized = normalized.replace(/\./g, '');
+        }
+
+        if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(normalized)) {
+            return null;
+        }
+
+        return Number(normalized);
+    }
+
+    /**
+     * Normalizar texto para comparar opciones
+     * @private
+     */
+    normalizeText(value) {
+        return String(value).toLowerCase().trim();
+    }
+}
+
+export default AnswerChecker;
@@ -0,0 +1,617 @@
+// controllers/assignmentManager.js - Tareas para Casa del Juego Math Battle
+
+/**
+ * ASSIGNMENTMANAGER - Gestiona tareas asíncronas (modo deberes) sin host en directo
+ *
+ * Funcionalidades principales:
+ * - El profesor crea una tarea con fecha límite y la configuración de partida
+ * - Los alumnos entran con el código cuando quieran y avanzan a su ritmo
+ * - Cada pregunta tiene su propio plazo medido por el servidor
+ * - Ranking en vivo mientras la tarea está abierta y ranking final al cerrar
+ * - Resultados finales con el mismo formato que las partidas (informes del profesor)
+ */
+
+import { randomUUID } from 'crypto';
+
+class AssignmentManager {
+    /**
+     * @param {ScoringEngine} scoringEngine - Motor de puntuación compartido
+     * @param {QuestionBank} questionBank - Banco de preguntas compartido
+     */
+    constructor(scoringEngine, questionBank) {
+        // Tareas activas y cerradas { code: assignment }
+        this.assignments = new Map();
+
+        this.scoringEngine = scoringEngine;
+        this.questionBank = questionBank;
+
+        // Configuración por defecto de las tareas (mismas claves que la de las salas)
+        this.defaultSettings = {
+            totalQuestions: 10,
+            questionTime: 60, // segundos por pregunta (más que en directo: sin presión de grupo)
+            difficultyLevel: 'medium',
+            categories: ['arithmetic', 'logic', 'geometry'],
+            questionTypes: ['multiple_choice'],
+            questionSetId: null,
+            scoring: 'accuracy', // Sin bonus por velocidad: cada alumno responde en un momento distinto
+            seed: null
+        };
+
+        console.log('📚 [AssignmentManager] Gestor de tareas inicializado');
+    }
+
+    /**
+     * Crear una tarea
+     * @param {Object} data - { name, deadline, gameSettings }
+     * @returns {Object} Tarea creada
+     */
+    createAssignment({ name, deadline, gameSettings = {} } = {}) {
+        if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+            throw new Error('La tarea necesita un nombre de hasta 100 caracteres');
+        }
+
+        const deadlineDate = new Date(deadline);
+        if (!deadline || Number.isNaN(deadlineDate.getTime()) || deadlineDate <= new Date()) {
+            throw new Error('La fecha límite debe ser una fecha futura');
+        }
+
+        const settings = { ...this.defaultSettings };
+        for (const key of Object.keys(this.defaultSettings)) {
+            if (gameSettings[key] !== undefined) {
+                settings[key] = gameSettings[key];
+            }
+        }
+
+        const code = this.generateCode();
+        const assignment = {
+            id: `${code}-${Date.now().toString(36)}`,
+            code: code,
+            name: name.trim(),
+            status: 'open', // 'open' o 'closed'
+            createdAt: new Date(),
+            deadline: deadlineDate,
+            closedAt: null,
+            settings: settings,
+            scoringRules: this.scoringEngine.resolveRules(settings.scoring),
+            questions: this.questionBank.getQuestionSet(
+                settings.totalQuestions,
+                settings.difficultyLevel,
+                settings.categories,
+                settings.questionTime,
+                settings.questionSetId,
+                settings.questionTypes,
+                settings.seed
+            ),
+            students: new Map() // { studentId: progreso del alumno }
+        };
+
+        this.assignments.set(code, assignment);
+
+        console.log(`📝 [AssignmentManager] Tarea ${code} creada: "${assignment.name}" (hasta ${deadlineDate.toISOString()})`);
+
+        return assignment;
+    }
+
+    /**
+     * Obtener una tarea
+     * @param {string} code - Código de la tarea
+     * @returns {Object|null} Tarea o null si no existe
+     */
+    getAssignment(code) {
+        return this.assignments.get(code) || null;
+    }
+
+    /**
+     * Comprobar si una tarea admite respuestas (abierta y sin vencer, aunque aún no se haya cerrado)
+     * @param {Object} assignment - Tarea
+     * @returns {boolean} true si los alumnos pueden seguir respondiendo
+     */
+    isOpen(assignment) {
+        return assignment.status === 'open' && new Date() < assignment.deadline;
+    }
+
+    /**
+     * Listar las tareas (más recientes primero)
+     * @returns {Array} Resumen de cada tarea
+     */
+    listAssignments() {
+        return Array.from(this.assignments.values())
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(assignment => this.getSummary(assignment));
+    }
+
+    /**
+     * Resumen de una tarea (sin preguntas ni respuestas)
+     * La semilla y el conjunto de preguntas solo se incluyen para el profesor que la crea:
+     * con ellos se pueden generar las preguntas y sus respuestas
+     * @param {Object} assignment - Tarea
+     * @param {boolean} forTeacher - Incluir seed y questionSetId
+     * @returns {Object} Resumen con el número de alumnos y cuántos terminaron
+     */
+    getSummary(assignment, forTeacher = false) {
+        const { seed, questionSetId, ...publicSettings } = assignment.settings;
+
+        return {
+            id: assignment.id,
+            code: assignment.code,
+            name: assignment.name,
+            status: assignment.status,
+            createdAt: assignment.createdAt,
+            deadline: assignment.deadline,
+            settings: forTeacher ? assignment.settings : publicSettings,
+            totalQuestions: assignment.questions.length,
+            students: assignment.students.size,
+            finished: Array.from(assignment.students.values()).filter(s => s.finishedAt).length
+        };
+    }
+
+    /**
+     * Unirse a una tarea, o continuarla con el token recibido al unirse
+     * @param {string} code - Código de la tarea
+     * @param {string} studentName - Nombre del alumno
+     * @param {string|null} studentToken - Token para continuar desde otro dispositivo o tras desconectarse
+     * @returns {Object} Progreso del alumno
+     */
+    joinAssignment(code, studentName, studentToken = null) {
+        const assignment = this.getAssignment(code);
+
+        if (!assignment) {
+            throw new Error('Tarea no encontrada');
+        }
+
+        if (!this.isOpen(assignment)) {
+            throw new Error('La tarea ya está cerrada');
+        }
+
+        if (studentToken) {
+            const student = Array.from(assignment.students.values()).find(s => s.token === studentToken);
+            if (!student) {
+                throw new Error('Token de alumno no válido');
+            }
+            return student;
+        }
+
+        if (!this.isValidStudentName(studentName)) {
+            throw new Error('Nombre inválido (2-20 caracteres: letras, números, espacios, - y _)');
+        }
+
+        const name = studentName.trim();
+        if (Array.from(assignment.students.values()).some(s => s.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error('Ya hay un alumno con ese nombre en la tarea');
+        }
+
+        const student = {
+            id: randomUUID(),
+            token: randomUUID(),
+            name: name,
+            joinedAt: new Date(),
+            finishedAt: null,
+            currentIndex: 0,
+            questionStartedAt: null, // null hasta que pide la pregunta actual
+            questionDeadline: null,
+            score: 0,
+            streak: 0,
+            answers: [] // [{ questionNumber, answer, isCorrect, credit, answered, responseTime, pointsEarned }]
+        };
+
+        assignment.students.set(student.id, student);
+
+        console.log(`👤 [AssignmentManager] ${name} se unió a la tarea ${code}`);
+
+        return student;
+    }
+
+    /**
+     * Obtener la pregunta actual de un alumno e iniciar su plazo si aún no la había pedido
+     * Pedirla otra vez no reinicia el plazo; si ya venció, cuenta como sin responder y se pasa a la siguiente
+     * @param {string} code - Código de la tarea
+     * @param {string} studentId - ID del alumno
+     * @returns {Object|null} Pregunta con su tiempo restante, o null si ya terminó la tarea
+     */
+    getCurrentQuestion(code, studentId) {
+        const { assignment, student } = this.getOpenProgress(code, studentId);
+
+        this.expireOverdueQuestion(assignment, student);
+
+        if (student.finishedAt) {
+            return null;
+        }
+
+        if (!student.questionStartedAt) {
+            student.questionStartedAt = new Date();
+            student.questionDeadline = new Date(student.questionStartedAt.getTime() + assignment.settings.questionTime * 1000);
+        }
+
+        // La respuesta y la explicación llegan con el resultado, después de responder
+        return {
+            question: this.questionBank.getPublicQuestion(assignment.questions[student.currentIndex]),
+            questionNumber: student.currentIndex + 1,
+            totalQuestions: assignment.questions.length,
+            timeLimit: assignment.settings.questionTime,
+            timeRemaining: Math.max(0, Math.round((student.questionDeadline - new Date()) / 1000))
+        };
+    }
+
+    /**
+     * Responder la pregunta actual de un alumno
+     * @param {string} code - Código de la tarea
+     * @param {string} studentId - ID del alumno
+     * @param {*} answer - Respuesta
+     * @returns {Object} Resultado con los puntos y si terminó la tarea
+     */
+    submitAnswer(code, studentId, answer) {
+        const { assignment, student } = this.getOpenProgress(code, studentId);
+
+        if (!student.questionStartedAt) {
+            throw new Error('Pide la pregunta antes de responder');
+        }
+
+        if (this.expireOverdueQuestion(assignment, student)) {
+            throw new Error('Se agotó el tiempo de esta pregunta');
+        }
+
+        const question = assignment.questions[student.currentIndex];
+        const responseTime = new Date() - student.questionStartedAt;
+        const timeRemaining = Math.max(0, (student.questionDeadline - new Date()) / 1000);
+        const { isCorrect, credit } = this.questionBank.gradeAnswer(question, answer);
+
+        student.streak = isCorrect ? student.streak + 1 : 0;
+
+        const { points, breakdown } = this.scoringEngine.calculatePoints({
+            isCorrect: isCorrect,
+            timeRemaining: timeRemaining,
+            maxTime: assignment.settings.questionTime,
+            difficulty: question.difficulty,
+            streak: student.streak,
+            isFinalQuestion: student.currentIndex === assignment.questions.length - 1,
+            credit: credit
+        }, assignment.scoringRules);
+
+        this.recordAnswer(assignment, student, {
+            answer: question.type === 'true_false' ? this.questionBank.answerChecker.toTrueFalse(answer) : answer,
+            isCorrect: isCorrect,
+            credit: credit,
+            answered: true,
+            responseTime: responseTime,
+            pointsEarned: points
+        });
+
+        return {
+            questionNumber: student.answers.length,
+            isCorrect: isCorrect,
+            credit: credit,
+            pointsEarned: points,
+            scoreBreakdown: breakdown,
+            streak: student.streak,
+            totalScore: student.score,
+            correctAnswer: question.correctAnswer,
+            explanation: question.explanation,
+            finished: !!student.finishedAt
+        };
+    }
+
+    /**
+     * Ranking de la tarea (en vivo mientras está abierta, final al cerrarse)
+     * @param {string} code - Código de la tarea
+     * @returns {Object} { status, deadline, final, leaderboard }
+     */
+    getLeaderboard(code) {
+        const assignment = this.getAssignment(code);
+
+        if (!assignment) {
+            throw new Error('Tarea no encontrada');
+        }
+
+        return {
+            code: assignment.code,
+            name: assignment.name,
+            status: assignment.status,
+            deadline: assignment.deadline,
+            final: assignment.status === 'closed',
+            totalQuestions: assignment.questions.length,
+            leaderboard: this.buildLeaderboard(assignment)
+        };
+    }
+
+    /**
+     * Cerrar una tarea (al vencer la fecha límite o antes, si el profesor lo decide)
+     * Las vencidas las cierra el servidor periódicamente con closeExpiredAssignments
+     * Las preguntas pedidas y no respondidas cuentan como sin responder
+     * @param {string} code - Código de la tarea
+     * @returns {Object|null} Tarea cerrada o null si no existe o ya estaba cerrada
+     */
+    closeAssignment(code) {
+        const assignment = this.assignments.get(code);
+
+        if (!assignment || assignment.status === 'closed') {
+            return null;
+        }
+
+        assignment.students.forEach(student => {
+            if (student.questionStartedAt && !student.finishedAt) {
+                this.recordUnanswered(assignment, student);
+            }
+        });
+
+        assignment.status = 'closed';
+        assignment.closedAt = new Date();
+
+        console.log(`🔒 [AssignmentManager] Tarea ${code} cerrada con ${assignment.students.size} alumno(s)`);
+
+        return assignment;
+    }
+
+    /**
+     * Cerrar las tareas cuya fecha límite ya pasó
+     * @returns {Array} Tareas cerradas en esta llamada
+     */
+    closeExpiredAssignments() {
+        const now = new Date();
+
+        return Array.from(this.assignments.values())
+            .filter(assignment => assignment.status === 'open' && now >= assignment.deadline)
+            .map(assignment => this.closeAssignment(assignment.code));
+    }
+
+    /**
+     * Resultados de la tarea con el formato de GameLogic.getFinalResults (para guardarlos e informar)
+     * Cada pregunta es una "ronda" con los alumnos que llegaron a ella
+     * @param {string} code - Código de la tarea
+     * @returns {Object} Resultados finales con answerLog
+     */
+    getFinalResults(code) {
+        const assignment = this.assignments.get(code);
+
+        if (!assignment) {
+            throw new Error('Tarea no encontrada');
+        }
+
+        const students = Array.from(assignment.students.values());
+        const finalRanking = this.buildLeaderboard(assignment).map(entry => ({
+            rank: entry.rank,
+            playerId: entry.studentId,
+            playerName: entry.name,
+            totalScore: entry.score
+        }));
+
+        const rounds = assignment.questions.map((question, index) => {
+            const questionNumber = index + 1;
+            const entries = students
+                .map(student => ({ student, answer: student.answers.find(a => a.questionNumber === questionNumber) }))
+                .filter(({ answer }) => answer);
+            const submitted = entries.filter(({ answer }) => answer.answered);
+            const correctAnswers = entries.filter(({ answer }) => answer.isCorrect).length;
+
+            return {
+                round: {
+                    questionNumber: questionNumber,
+                    question: question,
+                    correctAnswer: question.correctAnswer,
+                    explanation: question.explanation,
+                    stats: {
+                        totalPlayers: entries.length,
+                        playersAnswered: submitted.length,
+                        unanswered: entries.length - submitted.length,
+                        correctAnswers: correctAnswers,
+                        accuracy: entries.length ? Math.round((correctAnswers / entries.length) * 100) : 0,
+                        averageResponseTime: submitted.length
+                            ? Math.round(submitted.reduce((sum, { answer }) => sum + answer.responseTime, 0) / submitted.length)
+                            : 0,
+                        fastestResponse: submitted.length ? Math.min(...submitted.map(({ answer }) => answer.responseTime)) : 0
+                    },
+                    roundRanking: entries.map(({ student, answer }) => ({
+                        playerId: student.id,
+                        isCorrect: answer.isCorrect,
+                        credit: answer.credit,
+                        answered: answer.answered,
+                        pointsEarned: answer.pointsEarned,
+                        responseTime: answer.responseTime
+                    }))
+                },
+                log: {
+                    questionNumber: questionNumber,
+                    answers: entries.map(({ student, answer }) => ({
+                        playerId: student.id,
+                        answer: answer.answer,
+                        isCorrect: answer.isCorrect,
+                        answered: answer.answered,
+                        responseTime: answer.responseTime
+                    }))
+                }
+            };
+        });
+
+        return {
+            gameId: assignment.id,
+            roomCode: assignment.code,
+            assignmentName: assignment.name,
+            gameMode: 'assignment',
+            totalQuestions: assignment.questions.length,
+            totalPlayers: students.length,
+            scoringRules: assignment.scoringRules,
+            finalRanking: finalRanking,
+            winner: finalRanking[0] || null,
+            roundHistory: rounds.map(r => r.round),
+            answerLog: rounds.map(r => r.log),
+            deadline: assignment.deadline,
+            finishedAt: assignment.closedAt || new Date()
+        };
+    }
+
+    /**
+     * Exportar una tarea a un objeto serializable (para guardarla)
+     * @param {string} code - Código de la tarea
+     * @returns {Object|null} Tarea sin Maps
+     */
+    exportAssignment(code) {
+        const assignment = this.assignments.get(code);
+
+        if (!assignment) {
+            return null;
+        }
+
+        return {
+            ...assignment,
+            students: Array.from(assignment.students.values())
+        };
+    }
+
+    /**
+     * Restaurar una tarea guardada con exportAssignment
+     * @param {Object} data - Tarea exportada
+     * @returns {Object} Tarea restaurada
+     */
+    restoreAssignment(data) {
+        const toDate = (value) => value ? new Date(value) : null;
+
+        const assignment = {
+            ...data,
+            createdAt: toDate(data.createdAt),
+            deadline: toDate(data.deadline),
+            closedAt: toDate(data.closedAt),
+            students: new Map(data.students.map(student => [student.id, {
+                ...student,
+                joinedAt: toDate(student.joinedAt),
+                finishedAt: toDate(student.finishedAt),
+                questionStartedAt: toDate(student.questionStartedAt),
+                questionDeadline: toDate(student.questionDeadline)
+            }]))
+        };
+
+        this.assignments.set(assignment.code, assignment);
+
+        return assignment;
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Tarea abierta y progreso del alumno, o error
+     * @private
+     */
+    getOpenProgress(code, studentId) {
+        const assignment = this.getAssignment(code);
+
+        if (!assignment) {
+            throw new Error('Tarea no encontrada');
+        }
+
+        if (!this.isOpen(assignment)) {
+            throw new Error('La tarea ya está cerrada');
+        }
+
+        const student = assignment.students.get(studentId);
+        if (!student) {
+            throw new Error('No te has unido a esta tarea');
+        }
+
+        return { assignment, student };
+    }
+
+    /**
+     * Si el plazo de la pregunta actual venció, registrarla sin responder
+     * @private
+     * @returns {boolean} true si la pregunta había vencido
+     */
+    expireOverdueQuestion(assignment, student) {
+        if (!student.questionDeadline || student.finishedAt) {
+            return false;
+        }
+
+        // Mismo margen por latencia de red que en las partidas en directo
+        if (new Date() - student.questionDeadline <= 1000) {
+            return false;
+        }
+
+        this.recordUnanswered(assignment, student);
+        return true;
+    }
+
+    /**
+     * Registrar la pregunta actual como sin responder
+     * @private
+     */
+    recordUnanswered(assignment, student) {
+        student.streak = 0;
+        this.recordAnswer(assignment, student, {
+            answer: null,
+            isCorrect: false,
+            credit: 0,
+            answered: false,
+            responseTime: assignment.settings.questionTime * 1000,
+            pointsEarned: 0
+        });
+    }
+
+    /**
+     * Guardar la respuesta de la pregunta actual y pasar a la siguiente
+     * @private
+     */
+    recordAnswer(assignment, student, answerData) {
+        student.answers.push({ questionNumber: student.currentIndex + 1, ...answerData, timestamp: new Date() });
+        student.score += answerData.pointsEarned;
+        student.currentIndex++;
+        student.questionStartedAt = null;
+        student.questionDeadline = null;
+
+        if (student.currentIndex >= assignment.questions.length) {
+            student.finishedAt = new Date();
+        }
+    }
+
+    /**
+     * Ranking por puntos (a igualdad, quien terminó antes)
+     * @private
+     */
+    buildLeaderboard(assignment) {
+        return Array.from(assignment.students.values())
+            .map(student => ({
+                studentId: student.id,
+                name: student.name,
+                score: student.score,
+                answered: student.answers.filter(a => a.answered).length,
+                correct: student.answers.filter(a => a.isCorrect).length,
+                progress: student.answers.length,
+                finished: !!student.finishedAt,
+                finishedAt: student.finishedAt
+            }))
+            .sort((a, b) => {
+                if (b.score !== a.score) return b.score - a.score;
+                return (a.finishedAt || Infinity) - (b.finishedAt || Infinity);
+            })
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    /**
+     * Generar código único para la tarea (6 caracteres alfanuméricos)
+     * @private
+     */
+    generateCode() {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        let code = '';
+
+        do {
+            code = '';
+            for (let i = 0; i < 6; i++) {
+                code += chars.charAt(Math.floor(Math.random() * chars.length));
+            }
+        } while (this.assignments.has(code));
+
+        return code;
+    }
+
+    /**
+     * Validar nombre de alumno (mismas reglas que los jugadores en directo)
+     * @private
+     */
+    isValidStudentName(name) {
+        return typeof name === 'string' &&
+               name.trim().length >= 2 &&
+               name.trim().length <= 20 &&
+               /^[a-zA-Z0-9\s\-_]+$/.test(name.trim());
+    }
+}
+
+export default AssignmentManager;
@@ -0,0 +1,380 @@
+// controllers/bracketManager.js - Torneo por Eliminatorias del Juego Math Battle
+
+/**
+ * BRACKETMANAGER - Gestiona los cuadros de duelos 1 contra 1 dentro de una sala
+ *
+ * Funcionalidades principales:
+ * - Sortear cabezas de serie y formar el cuadro (con pases directos si no son potencia de 2)
+ * - Llevar el estado de cada duelo; cada duelo se juega como una sesión corta de GameLogic
+ * - Decidir el ganador (puntos, aciertos, rapidez y cabeza de serie) y hacerlo avanzar
+ * - Dar el duelo por ganado al rival si un jugador abandona
+ */
+
+class BracketManager {
+    constructor() {
+        // Cuadros activos { roomCode: bracket }
+        this.brackets = new Map();
+    }
+
+    /**
+     * Crear el cuadro de una sala
+     * @param {string} roomCode - Código de la sala
+     * @param {Array} players - Jugadores que participan (sin observadores)
+     * @param {number} questionsPerMatch - Preguntas de cada duelo
+     * @returns {Object} Cuadro creado
+     */
+    createBracket(roomCode, players, questionsPerMatch) {
+        if (players.length < 2) {
+            throw new Error('Se necesitan al menos 2 jugadores para el torneo');
+        }
+
+        // Sorteo de cabezas de serie
+        const seeded = this.shuffle(players).map((player, index) => ({
+            id: player.id,
+            name: player.name,
+            seed: index + 1
+        }));
+
+        const size = Math.pow(2, Math.ceil(Math.log2(seeded.length)));
+        const totalRounds = Math.log2(size);
+        const order = this.getSeedOrder(size);
+
+        const rounds = [];
+        for (let round = 1; round <= totalRounds; round++) {
+            const matchCount = size / Math.pow(2, round);
+            rounds.push(Array.from({ length: matchCount }, (_, index) => ({
+                id: `R${round}-M${index + 1}`,
+                round: round,
+                index: index,
+                playerIds: [null, null],
+                status: 'pending', // 'pending', 'playing', 'finished'
+                matchCode: null,   // Clave de la sesión de GameLogic mientras se juega
+                scores: {},        // { playerId: puntos }
+                winnerId: null,
+                walkover: false    // true si se ganó sin jugar (pase directo o abandono del rival)
+            })));
+        }
+
+        // Primera ronda: 1 contra el último, 2 contra el penúltimo...; los huecos son pases directos
+        rounds[0].forEach((match, index) => {
+            match.playerIds = [order[index * 2], order[index * 2 + 1]]
+                .map(seed => seeded[seed - 1]?.id ?? null);
+        });
+
+        const bracket = {
+            roomCode: roomCode,
+            status: 'playing', // 'playing', 'finished'
+            questionsPerMatch: questionsPerMatch,
+            players: seeded,
+            withdrawn: [], // Jugadores que abandonaron el torneo
+            rounds: rounds,
+            championId: null,
+            createdAt: new Date()
+        };
+
+        this.brackets.set(roomCode, bracket);
+
+        rounds[0]
+            .filter(match => match.playerIds.includes(null))
+            .forEach(match => this.completeMatch(bracket, match, match.playerIds.find(Boolean), true));
+
+        console.log(`🏆 [BracketManager] Cuadro creado en sala ${roomCode}: ${seeded.length} jugadores, ${totalRounds} ronda(s)`);
+
+        return bracket;
+    }
+
+    /**
+     * Obtener el cuadro de una sala
+     * @param {string} roomCode - Código de la sala
+     * @returns {Object|null} Cuadro o null si no existe
+     */
+    getBracket(roomCode) {
+        return this.brackets.get(roomCode) || null;
+    }
+
+    /**
+     * Duelos listos para empezar (con los dos jugadores y sin empezar)
+     * @param {string} roomCode - Código de la sala
+     * @returns {Array} Duelos listos
+     */
+    getReadyMatches(roomCode) {
+        const bracket = this.requireBracket(roomCode);
+
+        return bracket.rounds.flat().filter(match =>
+            match.status === 'pending' && match.playerIds.every(Boolean)
+        );
+    }
+
+    /**
+     * Marcar un duelo como en juego
+     * @param {string} roomCode - Código de la sala
+     * @param {string} matchId - ID del duelo
+     * @param {string} matchCode - Clave de la sesión de GameLogic del duelo
+     * @returns {Object} Duelo
+     */
+    startMatch(roomCode, matchId, matchCode) {
+        const match = this.requireMatch(roomCode, matchId);
+
+        if (match.status !== 'pending' || !match.playerIds.every(Boolean)) {
+            throw new Error(`El duelo ${matchId} no está listo para empezar`);
+        }
+
+        match.status = 'playing';
+        match.matchCode = matchCode;
+
+        return match;
+    }
+
+    /**
+     * Registrar el resultado de un duelo y hacer avanzar al ganador
+     * Desempate: más aciertos, menos tiempo total de respuesta y mejor cabeza de serie
+     * @param {string} roomCode - Código de la sala
+     * @param {string} matchId - ID del duelo
+     * @param {Object} finalResults - Resultados de GameLogic.getFinalResults de la sesión del duelo
+     * @returns {Object} Duelo terminado
+     */
+    finishMatch(roomCode, matchId, finalResults) {
+        const bracket = this.requireBracket(roomCode);
+        const match = this.requireMatch(roomCode, matchId);
+
+        if (match.status !== 'playing') {
+            throw new Error(`El duelo ${matchId} no está en juego`);
+        }
+
+        const stats = match.playerIds.map(playerId => {
+            const entries = finalResults.roundHistory
+                .flatMap(round => round.roundRanking)
+                .filter(entry => entry.playerId === playerId);
+
+            return {
+                playerId: playerId,
+                score: finalResults.finalRanking.find(p => p.playerId === playerId)?.totalScore || 0,
+                correct: entries.filter(entry => entry.isCorrect).length,
+                responseTime: entries.reduce((sum, entry) => sum + entry.responseTime, 0),
+                seed: this.getSeed(bracket, playerId)
+            };
+        });
+
+        stats.forEach(({ playerId, score }) => {
+            match.scores[playerId] = score;
+        });
+
+        const [winner] = [...stats].sort((a, b) => {
+            if (b.score !== a.score) return b.score - a.score;
+            if (b.correct !== a.correct) return b.correct - a.correct;
+            if (a.responseTime !== b.responseTime) return a.responseTime - b.responseTime;
+            return a.seed - b.seed;
+        });
+
+        this.completeMatch(bracket, match, winner.playerId, false);
+
+        return match;
+    }
+
+    /**
+     * Retirar a un jugador del torneo: su duelo actual (o el siguiente, cuando tenga rival) lo gana el rival
+     * @param {string} roomCode - Código de la sala
+     * @param {string} playerId - ID del jugador
+     * @returns {Object|null} Duelo que se dio por terminado ahora, o null
+     */
+    withdrawPlayer(roomCode, playerId) {
+        const bracket = this.getBracket(roomCode);
+
+        if (!bracket || bracket.status !== 'playing' || bracket.withdrawn.includes(playerId)) {
+            return null;
+        }
+
+        bracket.withdrawn.push(playerId);
+
+        const match = this.getPlayerMatch(roomCode, playerId);
+        if (!match || !match.playerIds.every(Boolean)) {
+            return null;
+        }
+
+        const opponentId = match.playerIds.find(id => id !== playerId);
+        this.completeMatch(bracket, match, opponentId, true);
+
+        return match;
+    }
+
+    /**
+     * Duelo pendiente o en juego de un jugador
+     * @param {string} roomCode - Código de la sala
+     * @param {string} playerId - ID del jugador
+     * @returns {Object|null} Duelo o null si el jugador está eliminado o esperando rival
+     */
+    getPlayerMatch(roomCode, playerId) {
+        const bracket = this.getBracket(roomCode);
+
+        if (!bracket) {
+            return null;
+        }
+
+        return bracket.rounds.flat().find(match =>
+            match.status !== 'finished' && match.playerIds.includes(playerId)
+        ) || null;
+    }
+
+    /**
+     * Estado del cuadro para los clientes (con nombres y cabezas de serie)
+     * @param {string} roomCode - Código de la sala
+     * @returns {Object|null} Estado serializable
+     */
+    getBracketState(roomCode) {
+        const bracket = this.getBracket(roomCode);
+
+        if (!bracket) {
+            return null;
+        }
+
+        const describe = (playerId) => {
+            const player = bracket.players.find(p => p.id === playerId);
+            return player ? { ...player, withdrawn: bracket.withdrawn.includes(playerId) } : null;
+        };
+
+        return {
+            status: bracket.status,
+            questionsPerMatch: bracket.questionsPerMatch,
+            champion: describe(bracket.championId),
+            rounds: bracket.rounds.map((matches, index) => ({
+                round: index + 1,
+                name: this.getRoundName(bracket.rounds.length - index),
+                matches: matches.map(match => ({
+                    id: match.id,
+                    status: match.status,
+                    players: match.playerIds.map(describe),
+                    scores: match.scores,
+                    winnerId: match.winnerId,
+                    walkover: match.walkover
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Eliminar el cuadro de una sala (nueva partida o sala cerrada)
+     * @param {string} roomCode - Código de la sala
+     * @returns {Array} Claves de las sesiones de duelos que seguían en juego
+     */
+    deleteBracket(roomCode) {
+        const bracket = this.getBracket(roomCode);
+
+        if (!bracket) {
+            return [];
+        }
+
+        this.brackets.delete(roomCode);
+
+        return bracket.rounds.flat()
+            .filter(match => match.status === 'playing')
+            .map(match => match.matchCode);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Cerrar un duelo con su ganador y colocarlo en el siguiente
+     * Si el rival del siguiente duelo ya abandonó, ese duelo también se gana sin jugar
+     * @private
+     */
+    completeMatch(bracket, match, winnerId, walkover) {
+        match.status = 'finished';
+        match.winnerId = winnerId;
+        match.walkover = walkover;
+
+        const nextRound = bracket.rounds[match.round];
+        if (!nextRound) {
+            bracket.status = 'finished';
+            bracket.championId = winnerId;
+            console.log(`🏆 [BracketManager] Torneo de la sala ${bracket.roomCode} terminado`);
+            return;
+        }
+
+        const next = nextRound[Math.floor(match.index / 2)];
+        next.playerIds[match.index % 2] = winnerId;
+
+        if (next.playerIds.every(Boolean)) {
+            const withdrawn = next.playerIds.filter(id => bracket.withdrawn.includes(id));
+            if (withdrawn.length > 0) {
+                const winner = next.playerIds.find(id => !withdrawn.includes(id)) || next.playerIds[0];
+                this.completeMatch(bracket, next, winner, true);
+            }
+        }
+    }
+
+    /**
+     * Orden de cabezas de serie en la primera ronda para que 1 y 2 solo puedan cruzarse en la final
+     * (tamaño 8: 1, 8, 4, 5, 2, 7, 3, 6)
+     * @private
+     */
+    getSeedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Nombre de la ronda según las que faltan para terminar
+     * @private
+     */
+    getRoundName(roundsLeft) {
+        const names = { 1: 'Final', 2: 'Semifinales', 3: 'Cuartos de final', 4: 'Octavos de final' };
+        return names[roundsLeft] || `Ronda de ${Math.pow(2, roundsLeft)}`;
+    }
+
+    /**
+     * Cabeza de serie de un jugador
+     * @private
+     */
+    getSeed(bracket, playerId) {
+        return bracket.players.find(p => p.id === playerId)?.seed ?? Infinity;
+    }
+
+    /**
+     * Cuadro de la sala o error
+     * @private
+     */
+    requireBracket(roomCode) {
+        const bracket = this.getBracket(roomCode);
+
+        if (!bracket) {
+            throw new Error(`No hay torneo en la sala ${roomCode}`);
+        }
+
+        return bracket;
+    }
+
+    /**
+     * Duelo del cuadro o error
+     * @private
+     */
+    requireMatch(roomCode, matchId) {
+        const match = this.requireBracket(roomCode).rounds.flat().find(m => m.id === matchId);
+
+        if (!match) {
+            throw new Error(`Duelo ${matchId} no encontrado`);
+        }
+
+        return match;
+    }
+
+    /**
+     * Mezclar array
+     * @private
+     */
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+export default BracketManager;
@@ -0,0 +1,211 @@
+// controllers/distractorEngine.js - Distractores de Aritmética del Juego Math Battle
+
+/**
+ * DISTRACTORENGINE - Genera respuestas incorrectas a partir de errores típicos de los alumnos
+ *
+ * Funcionalidades principales:
+ * - Estrategias por operación (llevadas, valor posicional, operación equivocada, quedarse a uno)
+ * - Opciones siempre distintas, no negativas y cercanas a la respuesta
+ * - Cada distractor lleva la etiqueta del error que lo produce, para explicar al profesor
+ *   por qué los alumnos eligieron esa opción
+ */
+
+class DistractorEngine {
+    /**
+     * @param {Function} random - Fuente de aleatoriedad en [0, 1) (Math.random o un generador con semilla)
+     */
+    constructor(random = Math.random) {
+        this.random = random;
+
+        // Errores típicos: etiqueta → descripción para el profesor
+        this.misconceptions = {
+            carry_error: 'Olvidó llevarse o pedir prestado en una columna',
+            place_value: 'Confundió el valor posicional (columna o ceros equivocados)',
+            swapped_operation: 'Usó otra operación',
+            off_by_one: 'Se quedó a una unidad (o a un grupo) del resultado',
+            partial_product: 'Multiplicó solo por una cifra del segundo factor',
+            base_times_exponent: 'Multiplicó la base por el exponente',
+            swapped_operands: 'Intercambió la base y el exponente',
+            half_instead_of_root: 'Dividió entre 2 en lugar de sacar la raíz',
+            order_of_operations: 'No respetó la prioridad de las operaciones',
+            ignored_parentheses: 'Ignoró los paréntesis',
+            distribution_error: 'Multiplicó solo uno de los términos del paréntesis',
+            calculation_error: 'Error de cálculo'
+        };
+
+        // Estrategias por operación: operandos → candidatos { value, misconception }
+        this.strategies = {
+            addition: ([a, b]) => [
+                { value: this.addWithoutCarry(a, b), misconception: 'carry_error' },
+                { value: a + b + 10, misconception: 'place_value' },
+                { value: a + b - 10, misconception: 'place_value' },
+                { value: Math.abs(a - b), misconception: 'swapped_operation' },
+                { value: a + b + 1, misconception: 'off_by_one' },
+                { value: a + b - 1, misconception: 'off_by_one' }
+            ],
+            subtraction: ([a, b]) => [
+                { value: this.subtractWithoutBorrow(a, b), misconception: 'carry_error' },
+                { value: a - b + 10, misconception: 'place_value' },
+                { value: a - b - 10, misconception: 'place_value' },
+                { value: a + b, misconception: 'swapped_operation' },
+                { value: a - b + 1, misconception: 'off_by_one' },
+                { value: a - b - 1, misconception: 'off_by_one' }
+            ],
+            multiplication: ([a, b]) => [
+                // Sin desplazar el segundo producto parcial: 23 × 14 = 23×4 + 23×1
+                { value: b >= 10 ? a * (b % 10) + a * Math.floor(b / 10) : null, misconception: 'place_value' },
+                { value: b >= 10 ? a * (b % 10) : null, misconception: 'partial_product' },
+                { value: a + b, misconception: 'swapped_operation' },
+                { value: a * (b + 1), misconception: 'off_by_one' },
+                { value: a * (b - 1), misconception: 'off_by_one' }
+            ],
+            division: ([dividend, divisor]) => {
+                const quotient = dividend / divisor;
+                return [
+                    { value: quotient * 10, misconception: 'place_value' },
+                    { value: quotient % 10 === 0 ? quotient / 10 : null, misconception: 'place_value' },
+                    { value: dividend - divisor, misconception: 'swapped_operation' },
+                    { value: quotient + 1, misconception: 'off_by_one' },
+                    { value: quotient - 1, misconception: 'off_by_one' }
+                ];
+            },
+            exponent: ([base, exponent]) => [
+                { value: base * exponent, misconception: 'base_times_exponent' },
+                { value: Math.pow(exponent, base), misconception: 'swapped_operands' },
+                { value: Math.pow(base, exponent - 1), misconception: 'off_by_one' },
+                { value: Math.pow(base, exponent + 1), misconception: 'off_by_one' }
+            ],
+            squareroot: ([radicand]) => {
+                const root = Math.round(Math.sqrt(radicand));
+                return [
+                    { value: radicand / 2, misconception: 'half_instead_of_root' },
+                    { value: root % 10 === 0 ? root / 10 : root * 10, misconception: 'place_value' },
+                    { value: root + 1, misconception: 'off_by_one' },
+                    { value: root - 1, misconception: 'off_by_one' }
+                ];
+            }
+        };
+    }
+
+    /**
+     * Generar distractores para una operación
+     * @param {string} operation - 'addition', 'subtraction', 'multiplication', 'division', 'exponent' o 'squareroot'
+     * @param {Array<number>} operands - Operandos de la pregunta (división: [dividendo, divisor])
+     * @param {number} correct - Respuesta correcta
+     * @param {number} count - Número de distractores
+     * @returns {Array} [{ value, misconception }]
+     */
+    generate(operation, operands, correct, count = 3) {
+        const strategy = this.strategies[operation];
+
+        if (!strategy) {
+            throw new Error(`Operación ${operation} no soportada por el generador de distractores`);
+        }
+
+        return this.select(correct, strategy(operands), count);
+    }
+
+    /**
+     * Elegir distractores válidos entre unos candidatos y completar con valores cercanos
+     * Descarta repetidos, decimales, negativos (si la respuesta no lo es) y valores demasiado lejanos.
+     * Siempre termina: los valores cercanos a la respuesta son infinitos
+     * @param {number} correct - Respuesta correcta
+     * @param {Array} candidates - [{ value, misconception }] en cualquier orden
+     * @param {number} count - Número de distractores
+     * @returns {Array} [{ value, misconception }]
+     */
+    select(correct, candidates, count = 3) {
+        const used = new Set([correct]);
+        const selected = [];
+
+        const tryAdd = ({ value, misconception }) => {
+            if (selected.length >= count || !this.isPlausible(correct, value) || used.has(value)) return;
+            used.add(value);
+            selected.push({ value, misconception });
+        };
+
+        // Primero un distractor por cada error distinto, para que el profesor vea errores variados
+        const shuffled = this.shuffle(candidates).filter(({ value }) => this.isPlausible(correct, value));
+        const seen = new Set();
+        shuffled.filter(({ misconception }) => !seen.has(misconception) && seen.add(misconception)).forEach(tryAdd);
+        shuffled.forEach(tryAdd);
+
+        // Completar con valores cercanos: ±1 es quedarse a uno; el resto, error de cálculo
+        for (let offset = 1; selected.length < count; offset++) {
+            const misconception = offset === 1 ? 'off_by_one' : 'calculation_error';
+            tryAdd({ value: correct + offset, misconception });
+            tryAdd({ value: correct - offset, misconception });
+        }
+
+        return selected;
+    }
+
+    /**
+     * Descripción de un error típico para el profesor
+     * @param {string} misconception - Etiqueta del error
+     * @returns {string} Descripción (la propia etiqueta si no se conoce)
+     */
+    describe(misconception) {
+        return this.misconceptions[misconception] || misconception;
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Un distractor es plausible si es entero, no negativo (salvo respuestas negativas)
+     * y no está a más de 9 veces la respuesta de distancia
+     * @private
+     */
+    isPlausible(correct, value) {
+        if (value === null || !Number.isInteger(value)) return false;
+        if (value < 0 && correct >= 0) return false;
+        return Math.abs(value - correct) <= Math.max(Math.abs(correct) * 9, 20);
+    }
+
+    /**
+     * Sumar columna a columna sin llevarse (58 + 67 = 15 en vez de 125)
+     * @private
+     */
+    addWithoutCarry(a, b) {
+        return this.combineDigits(a, b, (x, y) => (x + y) % 10);
+    }
+
+    /**
+     * Restar columna a columna la cifra menor de la mayor, sin pedir prestado (52 - 38 = 26)
+     * @private
+     */
+    subtractWithoutBorrow(a, b) {
+        return this.combineDigits(a, b, (x, y) => Math.abs(x - y));
+    }
+
+    /**
+     * Combinar las cifras de dos números columna a columna
+     * @private
+     */
+    combineDigits(a, b, combine) {
+        let result = 0;
+        for (let place = 1; place <= Math.max(a, b); place *= 10) {
+            const digitA = Math.floor(a / place) % 10;
+            const digitB = Math.floor(b / place) % 10;
+            result += combine(digitA, digitB) * place;
+        }
+        return result;
+    }
+
+    /**
+     * Mezclar array
+     * @private
+     */
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+export default DistractorEngine;
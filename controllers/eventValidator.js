@@ -0,0 +1,325 @@
+// controllers/eventValidator.js - Validación de Eventos Socket.IO del Juego Math Battle
+
+/**
+ * EVENTVALIDATOR - Comprueba los datos de cada evento antes de que lleguen a los gestores
+ *
+ * Funcionalidades principales:
+ * - Un esquema por evento: campos obligatorios, tipos y formatos (códigos de sala, respuestas...)
+ * - Descarta los campos que el esquema no conoce (p. ej. el timeRemaining que enviaban los clientes)
+ * - Ajusta gameSettings a los rangos permitidos, quita las claves desconocidas y comprueba el resto
+ * - Errores con código y campo para que el cliente sepa qué corregir
+ */
+
+class EventValidator {
+    /**
+     * @param {RoomManager} roomManager - Gestor de salas (claves de configuración válidas)
+     * @param {QuestionBank} questionBank - Banco de preguntas (categorías y conjuntos del profesor)
+     * @param {ScoringEngine} scoringEngine - Motor de puntuación (reglas de puntuación válidas)
+     */
+    constructor(roomManager, questionBank, scoringEngine) {
+        this.roomManager = roomManager;
+        this.questionBank = questionBank;
+        this.scoringEngine = scoringEngine;
+
+        // Rangos de los valores numéricos de gameSettings [mínimo, máximo]
+        this.settingLimits = {
+            maxPlayers: [2, 30],
+            questionTime: [5, 120],
+            totalQuestions: [1, 50],
+            livesPerPlayer: [1, 10],
+            questionsPerMatch: [1, 20]
+        };
+
+        this.difficultyLevels = ['easy', 'medium', 'hard'];
+
+        // Tipos de pregunta que se pueden activar en una sala
+        this.questionTypes = ['multiple_choice', 'numeric', 'true_false', 'multi_select', 'ordering'];
+
+        // Esquemas por evento: { campo: regla } o { $payload: regla } si el dato no es un objeto
+        // null = el evento no lleva datos
+        const roomCode = { type: 'roomCode', required: true };
+        this.schemas = {
+            'create-room': {
+                playerName: { type: 'string', required: true, maxLength: 20 },
+                gameSettings: { type: 'settings' },
+                hostPlays: { type: 'boolean' }
+            },
+            'join-room': {
+                playerName: { type: 'string', required: true, maxLength: 20 },
+                roomCode: roomCode,
+                reconnectToken: { type: 'string', maxLength: 100 }
+            },
+            'rejoin-room': {
+                roomCode: roomCode,
+                reconnectToken: { type: 'string', required: true, maxLength: 100 }
+            },
+            'update-settings': {
+                roomCode: roomCode,
+                settings: { type: 'settings', required: true }
+            },
+            'kick-player': {
+                roomCode: roomCode,
+                playerId: { type: 'string', required: true, maxLength: 100 },
+                ban: { type: 'boolean' }
+            },
+            'get-display-token': { roomCode },
+            'lock-room': {
+                roomCode: roomCode,
+                locked: { type: 'boolean', required: true }
+            },
+            'balance-teams': { roomCode },
+            'play-again': { roomCode },
+            'reveal-answer': { roomCode },
+            'join-team': {
+                roomCode: roomCode,
+                teamId: { type: 'string', required: true, maxLength: 20 }
+            },
+            'start-game': { roomCode },
+            'submit-answer': {
+                roomCode: { type: 'sessionCode', required: true },
+                answer: { type: 'answer', required: true }
+            },
+            'join-display': {
+                roomCode: roomCode,
+                displayToken: { type: 'string', required: true, maxLength: 100 }
+            },
+            'join-assignment': {
+                assignmentCode: roomCode,
+                playerName: { type: 'string', maxLength: 20 },
+                studentToken: { type: 'string', maxLength: 100 }
+            },
+            'assignment-next-question': null,
+            'assignment-answer': {
+                answer: { type: 'answer', required: true }
+            },
+            'get-players': { $payload: roomCode },
+            'get-room-stats': { $payload: roomCode }
+        };
+
+        // Comprobadores por tipo: devuelven el valor normalizado o lanzan un error
+        this.types = {
+            string: (value, rule, field) => {
+                const text = typeof value === 'string' ? value.trim() : null;
+                if (text === null || text.length > (rule.maxLength || 200)) {
+                    throw this.createError('INVALID_FIELD', `${field} debe ser un texto de hasta ${rule.maxLength || 200} caracteres`, field);
+                }
+                return text;
+            },
+            boolean: (value, rule, field) => {
+                if (typeof value !== 'boolean') {
+                    throw this.createError('INVALID_FIELD', `${field} debe ser true o false`, field);
+                }
+                return value;
+            },
+            roomCode: (value, rule, field) => {
+                const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+                if (!/^[A-Z0-9]{6}$/.test(code)) {
+                    throw this.createError('INVALID_FIELD', `${field} debe ser un código de 6 letras o números`, field);
+                }
+                return code;
+            },
+            // Código de sala o de duelo del modo torneo (ABC123-R1-M2)
+            sessionCode: (value, rule, field) => {
+                const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+                if (!/^[A-Z0-9]{6}(-R\d{1,2}-M\d{1,3})?$/.test(code)) {
+                    throw this.createError('INVALID_FIELD', `${field} debe ser un código de sala o de duelo`, field);
+                }
+                return code;
+            },
+            // Texto, número, verdadero/falso o lista de opciones (multi_select y ordering)
+            answer: (value, rule, field) => {
+                const isScalar = (item) =>
+                    (typeof item === 'string' && item.length <= 200) ||
+                    (typeof item === 'number' && Number.isFinite(item)) ||
+                    typeof item === 'boolean';
+
+                const valid = Array.isArray(value)
+                    ? value.length <= 20 && value.every(isScalar)
+                    : isScalar(value);
+
+                if (!valid) {
+                    throw this.createError('INVALID_FIELD', `${field} no es una respuesta válida`, field);
+                }
+                return value;
+            },
+            settings: (value, rule, field) => this.sanitizeGameSettings(value, field)
+        };
+
+        // Comprobadores por clave de gameSettings (las numéricas se ajustan con settingLimits)
+        // Devuelven el valor normalizado o lanzan un error con la ruta del campo
+        const oneOf = (options) => (value, path) => {
+            if (!options.includes(value)) {
+                const quoted = options.map(option => `'${option}'`);
+                throw this.createError('INVALID_FIELD', `${path} debe ser ${quoted.slice(0, -1).join(', ')} o ${quoted.at(-1)}`, path);
+            }
+            return value;
+        };
+        const boolean = (value, path) => this.types.boolean(value, {}, path);
+
+        this.settingRules = {
+            difficultyLevel: oneOf(this.difficultyLevels),
+            gameMode: oneOf(['classic', 'lives', 'bracket']),
+            teamScoring: oneOf(['sum', 'average']),
+            adaptiveDifficulty: boolean,
+            teamMode: boolean,
+            hostReveal: boolean,
+            categories: (value, path) => {
+                const available = this.questionBank.getCategories().map(category => category.id);
+                if (!Array.isArray(value) || value.length === 0 || !value.every(category => available.includes(category))) {
+                    throw this.createError('INVALID_FIELD', `${path} debe ser una lista de categorías (${available.join(', ')})`, path);
+                }
+                return [...new Set(value)];
+            },
+            questionTypes: (value, path) => {
+                if (!Array.isArray(value) || value.length === 0 || !value.every(type => this.questionTypes.includes(type))) {
+                    throw this.createError('INVALID_FIELD', `${path} debe ser una lista de tipos de pregunta (${this.questionTypes.join(', ')})`, path);
+                }
+                return [...new Set(value)];
+            },
+            scoring: (value, path) => {
+                try {
+                    this.scoringEngine.resolveRules(value);
+                } catch (error) {
+                    throw this.createError('INVALID_FIELD', `${path}: ${error.message}`, path);
+                }
+                return value;
+            },
+            questionSetId: (value, path) => {
+                if (value !== null && (typeof value !== 'string' || !this.questionBank.getCustomSet(value))) {
+                    throw this.createError('INVALID_FIELD', `${path}: conjunto de preguntas no encontrado`, path);
+                }
+                return value;
+            },
+            seed: (value, path) => {
+                const valid = value === null || Number.isSafeInteger(value) ||
+                    (typeof value === 'string' && value.trim().length > 0 && value.length <= 64);
+                if (!valid) {
+                    throw this.createError('INVALID_FIELD', `${path} debe ser un número entero o un texto de hasta 64 caracteres`, path);
+                }
+                return value;
+            },
+            teams: (value, path) => {
+                const validCount = Number.isInteger(value) && value >= 2 && value <= 8;
+                const validNames = Array.isArray(value) && value.length >= 2 && value.length <= 8 &&
+                    value.every(name => typeof name === 'string' && name.trim().length > 0 && name.trim().length <= 20) &&
+                    new Set(value.map(name => name.trim().toLowerCase())).size === value.length;
+                if (!validCount && !validNames) {
+                    throw this.createError('INVALID_FIELD', `${path} debe ser un número de equipos (2-8) o una lista de 2 a 8 nombres distintos`, path);
+                }
+                return validNames ? value.map(name => name.trim()) : value;
+            }
+        };
+    }
+
+    /**
+     * Validar los datos de un evento
+     * @param {string} event - Nombre del evento
+     * @param {*} payload - Datos recibidos del cliente
+     * @returns {*} Datos normalizados (solo los campos del esquema)
+     */
+    validate(event, payload) {
+        if (!Object.prototype.hasOwnProperty.call(this.schemas, event)) {
+            throw this.createError('UNKNOWN_EVENT', `Evento desconocido: ${event}`);
+        }
+
+        const schema = this.schemas[event];
+
+        if (schema === null) {
+            return undefined;
+        }
+
+        if (schema.$payload) {
+            return this.checkField(schema.$payload, payload, 'payload');
+        }
+
+        if (!this.isPlainObject(payload)) {
+            throw this.createError('INVALID_PAYLOAD', `Los datos de ${event} deben ser un objeto`);
+        }
+
+        const validated = {};
+        for (const [field, rule] of Object.entries(schema)) {
+            const value = this.checkField(rule, payload[field], field);
+            if (value !== undefined) {
+                validated[field] = value;
+            }
+        }
+
+        return validated;
+    }
+
+    /**
+     * Ajustar una configuración de partida a los valores permitidos
+     * Quita las claves desconocidas, redondea y limita los números y rechaza los demás valores inválidos
+     * @param {Object} settings - Configuración recibida
+     * @param {string} field - Nombre del campo (para los errores)
+     * @returns {Object} Configuración ajustada
+     */
+    sanitizeGameSettings(settings, field = 'gameSettings') {
+        if (!this.isPlainObject(settings)) {
+            throw this.createError('INVALID_FIELD', `${field} debe ser un objeto`, field);
+        }
+
+        const allowedKeys = Object.keys(this.roomManager.defaultSettings);
+        const sanitized = {};
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (!allowedKeys.includes(key)) {
+                continue;
+            }
+
+            const path = `${field}.${key}`;
+
+            if (this.settingLimits[key]) {
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    throw this.createError('INVALID_FIELD', `${path} debe ser un número`, path);
+                }
+                const [min, max] = this.settingLimits[key];
+                sanitized[key] = Math.min(max, Math.max(min, Math.round(value)));
+            } else {
+                sanitized[key] = this.settingRules[key](value, path);
+            }
+        }
+
+        return sanitized;
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Comprobar un campo según su regla
+     * @private
+     */
+    checkField(rule, value, field) {
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                throw this.createError('MISSING_FIELD', `Falta el campo ${field}`, field);
+            }
+            return undefined;
+        }
+
+        return this.types[rule.type](value, rule, field);
+    }
+
+    /**
+     * Objeto literal (no array ni null)
+     * @private
+     */
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Error con código y campo para el cliente
+     * @private
+     */
+    createError(code, message, field = null) {
+        const error = new Error(message);
+        error.code = code;
+        error.field = field;
+        return error;
+    }
+}
+
+export default EventValidator;
@@ -12,9 +12,14 @@
  */
 
 import QuestionBank from './questionBank.js';
+import ScoringEngine from './scoringEngine.js';
 
 class GameLogic {
-    constructor() {
+    /**
+     * @param {ScoringEngine} scoringEngine - Motor de puntuación compartido con PlayerManager
+     * @param {QuestionBank} questionBank - Banco de preguntas (compartido con la API de conjuntos del profesor)
+     */
+    constructor(scoringEngine = new ScoringEngine(), questionBank = new QuestionBank()) {
         // Almacén de sesiones de juego activas { roomCode: gameSession }
         this.gameSessions = new Map();
         
@@ -23,11 +28,25 @@ class GameLogic {
             questionDisplayTime: 30000,     // 30 segundos por pregunta
             resultDisplayTime: 5000,       // 5 segundos para mostrar resultados
             gameStartDelay: 3000,          // 3 segundos antes de empezar
-            betweenQuestionsDelay: 2000    // 2 segundos entre preguntas
+            betweenQuestionsDelay: 2000,   // 2 segundos entre preguntas
+            answerGraceTime: 1000          // 1 segundo de margen por latencia de red
+        };
+        
+        // Modo adaptativo: cuándo sube o baja de nivel cada jugador según sus respuestas recientes
+        this.adaptiveConfig = {
+            window: 3,              // Respuestas recientes que se tienen en cuenta
+            minAnswers: 2,          // Respuestas mínimas en el nivel actual antes de cambiarlo
+            promoteAccuracy: 0.66,  // Sube con al menos 2 de 3 aciertos...
+            promoteSpeed: 0.4,      // ...y respondiendo de media con el 40% del tiempo restante
+            demoteAccuracy: 0.34,   // Baja con 1 de 3 aciertos o menos
+            minAttempts: 2          // Preguntas de un nivel necesarias para fiarse de su rendimiento
         };
         
         // Instancia del banco de preguntas
-        this.questionBank = new QuestionBank();
+        this.questionBank = questionBank;
+        
+        // Motor de puntuación
+        this.scoringEngine = scoringEngine;
         
         console.log('⚡ [GameLogic] Sistema de lógica de juego inicializado');
     }
@@ -37,18 +56,29 @@ class GameLogic {
      * @param {string} roomCode - Código de la sala
      * @param {Array} players - Lista de jugadores
      * @param {Object} gameSettings - Configuración del juego
+     * @param {Array} teams - Equipos de la sala [{ id, name, playerIds }] (solo modo equipos)
      * @returns {Object} Datos de la sesión creada
      */
-    initializeGame(roomCode, players, gameSettings = {}) {
+    initializeGame(roomCode, players, gameSettings = {}, teams = []) {
         // Crear sesión de juego
         const gameSession = {
+            gameId: `${roomCode}-${Date.now().toString(36)}`, // Único aunque la sala juegue varias partidas
             roomCode: roomCode,
             players: [...players], // Copia de los jugadores
             settings: {
                 totalQuestions: gameSettings.totalQuestions || 10,
                 questionTime: gameSettings.questionTime || 30,
                 difficultyLevel: gameSettings.difficultyLevel || 'medium',
-                categories: gameSettings.categories || ['arithmetic', 'logic', 'geometry']
+                categories: gameSettings.categories || ['arithmetic', 'logic', 'geometry'],
+                gameMode: gameSettings.gameMode || 'classic',   // 'classic', 'lives'
+                livesPerPlayer: gameSettings.livesPerPlayer || 3,
+                scoring: gameSettings.scoring || 'classic',
+                questionSetId: gameSettings.questionSetId || null,
+                questionTypes: gameSettings.questionTypes || ['multiple_choice'],
+                seed: gameSettings.seed ?? null,
+                adaptiveDifficulty: !!gameSettings.adaptiveDifficulty,
+                teamMode: !!gameSettings.teamMode,
+                teamScoring: gameSettings.teamScoring || 'sum' // 'sum', 'average'
             },
             
             // Estado del juego
@@ -56,14 +86,23 @@ class GameLogic {
             currentQuestionIndex: 0,
             currentQuestion: null,
             questions: [],             // Array de preguntas para la sesión
+            adaptiveQuestions: null,   // { easy, medium, hard } con una pregunta por ronda (modo adaptativo)
             
             // Respuestas de la ronda actual
             currentRoundAnswers: new Map(), // { playerId: answerData }
             allAnswersReceived: false,
             
             // Resultados y puntuaciones
+            scoringRules: null,        // Reglas de puntuación activas (preset + valores personalizados)
             playerScores: new Map(),   // { playerId: totalScore }
+            playerStreaks: new Map(),  // { playerId: racha de respuestas correctas }
+            playerLives: new Map(),    // { playerId: vidasRestantes } (solo modo 'lives')
+            eliminatedPlayers: new Map(), // { playerId: número de pregunta en que fue eliminado }
+            playerDifficulty: new Map(),  // { playerId: dificultad actual } (modo adaptativo)
+            playerPerformance: new Map(), // { playerId: { recent, difficultyPerformance } } (modo adaptativo)
+            teams: [],                 // [{ id, name, playerIds }] (modo equipos)
             roundResults: [],          // Histórico de resultados por ronda
+            answerLog: [],             // Respuestas de cada jugador por ronda (solo para informes)
             
             // Timers
             questionTimer: null,
@@ -72,6 +111,7 @@ class GameLogic {
             // Timestamps
             gameStartedAt: null,
             questionStartedAt: null,
+            questionDeadline: null,
             
             // Estadísticas de la sesión
             gameStats: {
@@ -85,10 +125,44 @@ class GameLogic {
         // Inicializar puntuaciones de jugadores
         players.forEach(player => {
             gameSession.playerScores.set(player.id, 0);
+            
+            if (gameSession.settings.gameMode === 'lives' && !player.isObserver) {
+                gameSession.playerLives.set(player.id, gameSession.settings.livesPerPlayer);
+            }
+            
+            // Modo adaptativo: todos empiezan en la dificultad de la sala
+            if (gameSession.settings.adaptiveDifficulty && !player.isObserver) {
+                gameSession.playerDifficulty.set(player.id, gameSession.settings.difficultyLevel);
+                gameSession.playerPerformance.set(player.id, this.createPerformance());
+            }
         });
         
-        // Generar preguntas para la sesión
-        gameSession.questions = this.generateQuestionSet(gameSession.settings);
+        // Equipos fijos durante la partida (sin observadores ni equipos vacíos)
+        if (gameSession.settings.teamMode) {
+            const playerIds = new Set(players.filter(p => !p.isObserver).map(p => p.id));
+            gameSession.teams = teams
+                .map(team => ({ id: team.id, name: team.name, playerIds: team.playerIds.filter(id => playerIds.has(id)) }))
+                .filter(team => team.playerIds.length > 0);
+            
+            if (gameSession.teams.length < 2) {
+                throw new Error('El modo equipos necesita al menos 2 equipos con jugadores');
+            }
+        }
+        
+        // Resolver reglas de puntuación de la sala
+        gameSession.scoringRules = this.scoringEngine.resolveRules(gameSession.settings.scoring);
+        
+        // Generar preguntas para la sesión (en modo adaptativo, un conjunto por dificultad)
+        if (gameSession.settings.adaptiveDifficulty) {
+            if (gameSession.settings.questionSetId) {
+                throw new Error('El modo adaptativo usa el banco de preguntas: no se puede combinar con un conjunto del profesor');
+            }
+            
+            gameSession.adaptiveQuestions = this.generateAdaptiveQuestionSets(gameSession.settings);
+            gameSession.questions = gameSession.adaptiveQuestions[gameSession.settings.difficultyLevel] || gameSession.adaptiveQuestions.medium;
+        } else {
+            gameSession.questions = this.generateQuestionSet(gameSession.settings);
+        }
         
         // Guardar sesión
         this.gameSessions.set(roomCode, gameSession);
@@ -113,24 +187,110 @@ class GameLogic {
         
         session.currentQuestion = question;
         session.questionStartedAt = new Date();
+        session.questionDeadline = new Date(session.questionStartedAt.getTime() + this.getQuestionTimeMs(session));
         session.status = 'playing';
         session.currentRoundAnswers.clear();
         session.allAnswersReceived = false;
         
+        if (!session.gameStartedAt) {
+            session.gameStartedAt = session.questionStartedAt;
+        }
+        
         console.log(`❓ [GameLogic] Pregunta establecida para sala ${roomCode}: ${question.question}`);
         
         return true;
     }
 
+    /**
+     * Iniciar el temporizador de la pregunta actual
+     * Al vencer el plazo la ronda se cierra automáticamente y se invoca el callback
+     * @param {string} roomCode - Código de la sala
+     * @param {Function} onExpire - Callback que recibe los resultados de la ronda
+     * @returns {Date} Momento límite para responder
+     */
+    startQuestionTimer(roomCode, onExpire) {
+        const session = this.getGameSession(roomCode);
+        
+        if (!session) {
+            throw new Error(`Sesión de juego no encontrada para sala ${roomCode}`);
+        }
+        
+        this.clearQuestionTimer(session);
+        
+        const delay = Math.max(0, session.questionDeadline - new Date()) + this.timingConfig.answerGraceTime;
+        
+        session.questionTimer = setTimeout(() => {
+            session.questionTimer = null;
+            
+            const roundResults = this.closeRound(roomCode);
+            if (roundResults) {
+                console.log(`⏰ [GameLogic] Tiempo agotado en sala ${roomCode}`);
+                onExpire(roundResults);
+            }
+        }, delay);
+        
+        return session.questionDeadline;
+    }
+
+    /**
+     * Cerrar la ronda actual
+     * Los jugadores que no respondieron quedan registrados como sin respuesta
+     * @param {string} roomCode - Código de la sala
+     * @returns {Object|null} Resultados de la ronda o null si ya estaba cerrada
+     */
+    closeRound(roomCode) {
+        const session = this.getGameSession(roomCode);
+        
+        if (!session || session.status !== 'playing' || !session.currentQuestion) {
+            return null;
+        }
+        
+        this.clearQuestionTimer(session);
+        
+        // Registrar a los jugadores activos que no respondieron a tiempo
+        const questionTimeMs = this.getQuestionTimeMs(session);
+        this.getActivePlayers(session)
+            .filter(p => !session.currentRoundAnswers.has(p.id))
+            .forEach(player => {
+                session.playerStreaks.set(player.id, 0);
+                session.currentRoundAnswers.set(player.id, {
+                    playerId: player.id,
+                    answer: null,
+                    isCorrect: false,
+                    credit: 0,
+                    difficulty: this.getQuestionForPlayer(session, player.id).difficulty,
+                    answered: false,
+                    responseTime: questionTimeMs,
+                    timeRemaining: 0,
+                    pointsEarned: 0,
+                    timestamp: new Date()
+                });
+            });
+        
+        // En modo vidas, cada respuesta incorrecta o ausente cuesta una vida
+        if (session.settings.gameMode === 'lives') {
+            this.applyLivesPenalty(session);
+        }
+        
+        const roundResults = this.getRoundResults(roomCode);
+        
+        // Modo adaptativo: ajustar el nivel de cada jugador para la siguiente ronda
+        if (session.settings.adaptiveDifficulty) {
+            roundResults.adaptive.players = this.updateAdaptiveDifficulty(session, roundResults.roundRanking);
+        }
+        
+        return roundResults;
+    }
+
     /**
      * Procesar respuesta de un jugador
+     * El tiempo restante se calcula con el reloj del servidor
      * @param {string} roomCode - Código de la sala
      * @param {string} playerId - ID del jugador
      * @param {string|number} answer - Respuesta del jugador
-     * @param {number} timeRemaining - Tiempo restante (segundos)
      * @returns {Object} Resultado del procesamiento
      */
-    processAnswer(roomCode, playerId, answer, timeRemaining) {
+    processAnswer(roomCode, playerId, answer) {
         const session = this.getGameSession(roomCode);
         
         if (!session) {
@@ -145,33 +305,59 @@ class GameLogic {
             throw new Error('El jugador ya respondió esta pregunta');
         }
         
-        const currentQuestion = session.currentQuestion;
-        if (!currentQuestion) {
+        if (session.eliminatedPlayers.has(playerId)) {
+            throw new Error('Jugador eliminado: ahora participas como espectador');
+        }
+        
+        // Solo responden los jugadores de la sesión (en modo torneo, los dos del duelo)
+        const player = session.players.find(p => p.id === playerId);
+        if (!player || player.isObserver) {
+            throw new Error('No participas en esta partida');
+        }
+        
+        if (!session.currentQuestion) {
             throw new Error('No hay pregunta activa');
         }
         
-        // Calcular tiempo de respuesta
+        // En modo adaptativo cada jugador responde la pregunta de su nivel
+        const currentQuestion = this.getQuestionForPlayer(session, playerId);
+        
+        // Calcular tiempo de respuesta y tiempo restante según el reloj del servidor
         const responseTime = this.calculateResponseTime(session.questionStartedAt);
+        const timeRemaining = Math.max(0, (session.questionDeadline - new Date()) / 1000);
+        
+        // Verificar si la respuesta es correcta (con crédito parcial en selección múltiple)
+        const { isCorrect, credit } = this.gradeAnswer(currentQuestion, answer);
         
-        // Verificar si la respuesta es correcta
-        const isCorrect = this.checkAnswer(currentQuestion, answer);
+        // Actualizar racha (incluye esta respuesta)
+        const streak = isCorrect ? (session.playerStreaks.get(playerId) || 0) + 1 : 0;
+        session.playerStreaks.set(playerId, streak);
         
-        // Calcular puntos obtenidos
-        const points = isCorrect ? this.calculateQuestionPoints(
-            timeRemaining,
-            session.settings.questionTime,
-            responseTime,
-            currentQuestion.difficulty
-        ) : 0;
+        // Calcular puntos obtenidos (dificultad, velocidad y racha)
+        const { points, breakdown } = this.calculateQuestionPoints(session, {
+            isCorrect: isCorrect,
+            timeRemaining: timeRemaining,
+            maxTime: session.settings.questionTime,
+            // Modo adaptativo: todos puntúan con la dificultad de la sala para que el ranking sea justo
+            difficulty: session.settings.adaptiveDifficulty ? session.settings.difficultyLevel : currentQuestion.difficulty,
+            streak: streak,
+            isFinalQuestion: session.currentQuestionIndex === session.questions.length - 1,
+            credit: credit
+        });
         
-        // Registrar respuesta
+        // Registrar respuesta (verdadero/falso siempre con el texto de la opción)
         const answerData = {
             playerId: playerId,
-            answer: answer,
+            answer: currentQuestion.type === 'true_false' ? this.questionBank.answerChecker.toTrueFalse(answer) : answer,
             isCorrect: isCorrect,
+            credit: credit,
+            difficulty: currentQuestion.difficulty,
+            answered: true,
             responseTime: responseTime,
             timeRemaining: timeRemaining,
             pointsEarned: points,
+            scoreBreakdown: breakdown,
+            streak: streak,
             timestamp: new Date()
         };
         
@@ -186,13 +372,18 @@ class GameLogic {
         
         console.log(`📝 [GameLogic] Respuesta procesada - Jugador: ${playerId}, Correcta: ${isCorrect}, Puntos: ${points}`);
         
-        // Verificar si todos los jugadores han respondido
-        session.allAnswersReceived = session.currentRoundAnswers.size >= session.players.length;
+        // Verificar si todos los jugadores activos y conectados han respondido
+        session.allAnswersReceived = this.haveConnectedPlayersAnswered(session);
         
         return {
             isCorrect: isCorrect,
+            credit: credit,
             pointsEarned: points,
+            scoreBreakdown: breakdown,
+            streak: streak,
             responseTime: responseTime,
+            category: currentQuestion.category,
+            difficulty: currentQuestion.difficulty,
             allAnswersReceived: session.allAnswersReceived
         };
     }
@@ -204,7 +395,85 @@ class GameLogic {
      */
     allPlayersAnswered(roomCode) {
         const session = this.getGameSession(roomCode);
-        return session ? session.allAnswersReceived : false;
+        
+        if (!session || session.status !== 'playing') {
+            return false;
+        }
+        
+        // Recalcular: un jugador pudo desconectarse después de la última respuesta
+        session.allAnswersReceived = this.haveConnectedPlayersAnswered(session);
+        return session.allAnswersReceived;
+    }
+
+    /**
+     * Obtener el estado de la pregunta en curso para un jugador (p. ej. al reconectarse)
+     * La pregunta va en su vista pública: sin respuesta ni explicación
+     * @param {string} roomCode - Código de la sala
+     * @param {string} playerId - ID del jugador
+     * @returns {Object|null} Pregunta actual, tiempo restante y si ya respondió
+     */
+    getCurrentQuestionState(roomCode, playerId) {
+        const session = this.getGameSession(roomCode);
+        
+        if (!session || session.status !== 'playing' || !session.currentQuestion) {
+            return null;
+        }
+        
+        return {
+            question: this.questionBank.getPublicQuestion(this.getQuestionForPlayer(session, playerId)),
+            questionNumber: session.currentQuestionIndex + 1,
+            totalQuestions: session.questions.length,
+            timeLimit: session.settings.questionTime,
+            timeRemaining: Math.max(0, Math.round((session.questionDeadline - new Date()) / 1000)),
+            hasAnswered: session.currentRoundAnswers.has(playerId)
+        };
+    }
+
+    /**
+     * Respuestas recibidas hasta ahora en la ronda en curso (para la pantalla de proyección)
+     * No indica cuáles son correctas: solo cuántos respondieron y cuántos eligieron cada opción
+     * @param {string} roomCode - Código de la sala
+     * @returns {Object|null} { questionNumber, answered, totalPlayers, distribution } o null si no hay pregunta en curso
+     */
+    getLiveAnswerStats(roomCode) {
+        const session = this.getGameSession(roomCode);
+        
+        if (!session || !session.currentQuestion) {
+            return null;
+        }
+        
+        const activeIds = new Set(this.getActivePlayers(session).map(p => p.id));
+        const submitted = Array.from(session.currentRoundAnswers.values())
+            .filter(a => a.answered && activeIds.has(a.playerId));
+        
+        // En modo adaptativo, la distribución es la de la pregunta de la dificultad de la sala
+        const answeredCurrent = session.settings.adaptiveDifficulty
+            ? submitted.filter(a => a.difficulty === session.currentQuestion.difficulty)
+            : submitted;
+        
+        return {
+            questionNumber: session.currentQuestionIndex + 1,
+            answered: submitted.length,
+            totalPlayers: activeIds.size,
+            distribution: this.getAnswerDistribution(session.currentQuestion, answeredCurrent)
+        };
+    }
+
+    /**
+     * Obtener la pregunta en curso de un jugador
+     * En modo adaptativo es la de su nivel; los observadores ven la de la dificultad de la sala
+     * @param {string} roomCode - Código de la sala
+     * @param {string} playerId - ID del jugador
+     * @returns {Object|null} Pregunta o null si no hay ninguna en curso
+     */
+    getPlayerQuestion(roomCode, playerId) {
+        const session = this.getGameSession(roomCode);
+        
+        if (!session || !session.currentQuestion) {
+            return null;
+        }
+        
+        return this.getQuestionForPlayer(session, playerId);
     }
 
     /**
@@ -222,8 +491,12 @@ class GameLogic {
         const currentQuestion = session.currentQuestion;
         const allAnswers = Array.from(session.currentRoundAnswers.values());
 
-        // Jugadores que NO son observadores
-        const activePlayers = session.players.filter(p => !p.isObserver);
+        // Jugadores que NO son observadores ni estaban eliminados al empezar la ronda
+        const questionNumber = session.currentQuestionIndex + 1;
+        const activePlayers = session.players.filter(p => {
+            const eliminatedAt = session.eliminatedPlayers.get(p.id);
+            return !p.isObserver && (eliminatedAt === undefined || eliminatedAt === questionNumber);
+        });
 
         // Solo contabilizar respuestas de jugadores activos (no observadores)
         const answers = allAnswers.filter(a => {
@@ -231,12 +504,15 @@ class GameLogic {
             return !player?.isObserver;
         });
 
+        // Respuestas efectivamente enviadas (excluye a quienes se les agotó el tiempo)
+        const submitted = answers.filter(a => a.answered);
+
         // Estadísticas de la ronda (sobre jugadores activos)
         const correctAnswers = answers.filter(a => a.isCorrect).length;
-        const averageResponseTime = answers.length
-            ? answers.reduce((sum, a) => sum + a.responseTime, 0) / answers.length
+        const averageResponseTime = submitted.length
+            ? submitted.reduce((sum, a) => sum + a.responseTime, 0) / submitted.length
             : 0;
-        const fastestResponse = answers.length ? Math.min(...answers.map(a => a.responseTime)) : 0;
+        const fastestResponse = submitted.length ? Math.min(...submitted.map(a => a.responseTime)) : 0;
 
         // Ranking de jugadores para esta ronda (sin observadores)
         const roundRanking = [...answers]
@@ -249,13 +525,22 @@ class GameLogic {
                 rank: index + 1,
                 playerId: answer.playerId,
                 isCorrect: answer.isCorrect,
+                credit: answer.credit,
+                difficulty: answer.difficulty,
+                answered: answer.answered,
                 pointsEarned: answer.pointsEarned,
                 responseTime: answer.responseTime,
                 currentTotalScore: session.playerScores.get(answer.playerId)
             }));
 
+        // En modo adaptativo, la distribución principal es la de la pregunta de la dificultad de la sala
+        const answeredCurrent = session.settings.adaptiveDifficulty
+            ? submitted.filter(a => a.difficulty === currentQuestion.difficulty)
+            : submitted;
+        const answerDistribution = this.getAnswerDistribution(currentQuestion, answeredCurrent);
+
         const roundResult = {
-            questionNumber: session.currentQuestionIndex + 1,
+            questionNumber: questionNumber,
             question: currentQuestion,
             correctAnswer: currentQuestion.correctAnswer,
             explanation: currentQuestion.explanation,
@@ -263,20 +548,58 @@ class GameLogic {
             // Estadísticas de la ronda (solo jugadores activos)
             stats: {
                 totalPlayers: activePlayers.length,
-                playersAnswered: answers.length,
+                playersAnswered: submitted.length,
+                unanswered: answers.length - submitted.length,
                 correctAnswers: correctAnswers,
                 accuracy: answers.length ? Math.round((correctAnswers / answers.length) * 100) : 0,
                 averageResponseTime: Math.round(averageResponseTime),
                 fastestResponse: fastestResponse
             },
             
+            // Cuántos jugadores eligieron cada respuesta y qué error típico hay detrás de las incorrectas
+            answerDistribution: answerDistribution,
+            misconceptions: this.getMisconceptionSummary(currentQuestion, answerDistribution),
+            
             // Rankings
             roundRanking: roundRanking,
             overallRanking: this.getOverallRanking(session)
         };
         
+        // Ranking por equipos con los puntos de cada equipo en esta ronda
+        if (session.settings.teamMode) {
+            roundResult.teamRanking = this.getTeamRanking(session, answers);
+        }
+        
+        // Vidas restantes y eliminaciones de esta ronda
+        if (session.settings.gameMode === 'lives') {
+            roundResult.lives = this.getLivesSummary(session);
+            roundResult.eliminatedThisRound = Array.from(session.eliminatedPlayers.entries())
+                .filter(([, eliminatedAt]) => eliminatedAt === questionNumber)
+                .map(([playerId]) => playerId);
+            roundResult.remainingPlayers = this.getActivePlayers(session).length;
+        }
+        
+        // Modo adaptativo: pregunta y distribución de cada nivel jugado en la ronda
+        if (session.settings.adaptiveDifficulty) {
+            roundResult.adaptive = {
+                questions: this.getAdaptiveRoundQuestions(session, answers, submitted),
+                players: []
+            };
+        }
+        
         // Guardar resultado en el histórico
         session.roundResults.push(roundResult);
+        session.answerLog.push({
+            questionNumber: questionNumber,
+            answers: answers.map(a => ({
+                playerId: a.playerId,
+                answer: a.answer,
+                isCorrect: a.isCorrect,
+                difficulty: a.difficulty,
+                answered: a.answered,
+                responseTime: a.responseTime
+            }))
+        });
         session.status = 'showing_results';
         
         console.log(`📊 [GameLogic] Resultados de ronda calculados para sala ${roomCode}`);
@@ -298,8 +621,8 @@ class GameLogic {
         
         session.currentQuestionIndex++;
         
-        // Verificar si quedan preguntas
-        if (session.currentQuestionIndex >= session.questions.length) {
+        // Verificar si quedan preguntas (o si el modo vidas ya tiene un superviviente)
+        if (session.currentQuestionIndex >= session.questions.length || this.isEliminationComplete(session)) {
             session.status = 'finished';
             return null;
         }
@@ -328,12 +651,16 @@ class GameLogic {
         session.status = 'finished';
         
         const finalRanking = this.getOverallRanking(session);
+        const teamRanking = session.settings.teamMode ? this.getTeamRanking(session) : null;
         const gameStats = this.calculateFinalStats(session);
         
         const finalResults = {
-            gameId: roomCode,
+            gameId: session.gameId,
+            roomCode: roomCode,
             totalQuestions: session.questions.length,
             totalPlayers: session.players.filter(p => !p.isObserver).length,
+            gameMode: session.settings.gameMode,
+            scoringRules: session.scoringRules,
             
             // Ranking final
             finalRanking: finalRanking,
@@ -341,6 +668,10 @@ class GameLogic {
             // Ganador
             winner: finalRanking[0] || null,
             
+            // Ranking y equipo ganador (solo modo equipos)
+            teamRanking: teamRanking,
+            winningTeam: teamRanking ? teamRanking[0] : null,
+            
             // Estadísticas del juego
             gameStats: gameStats,
             
@@ -348,7 +679,9 @@ class GameLogic {
             gameDuration: this.calculateGameDuration(session),
             
             // Histórico de rondas
-            roundHistory: session.roundResults
+            roundHistory: session.roundResults,
+            
+            finishedAt: new Date()
         };
         
         console.log(`🏆 [GameLogic] Resultados finales calculados para sala ${roomCode}`);
@@ -356,6 +689,109 @@ class GameLogic {
         return finalResults;
     }
 
+    /**
+     * Quitar a un jugador de la sesión (p. ej. expulsado por el host)
+     * @param {string} roomCode - Código de la sala
+     * @param {string} playerId - ID del jugador
+     * @returns {boolean} true si se quitó correctamente
+     */
+    removePlayerFromSession(roomCode, playerId) {
+        const session = this.getGameSession(roomCode);
+        
+        if (!session) {
+            return false;
+        }
+        
+        session.players = session.players.filter(p => p.id !== playerId);
+        session.playerScores.delete(playerId);
+        session.playerStreaks.delete(playerId);
+        session.playerLives.delete(playerId);
+        session.eliminatedPlayers.delete(playerId);
+        session.playerDifficulty.delete(playerId);
+        session.playerPerformance.delete(playerId);
+        session.currentRoundAnswers.delete(playerId);
+        session.teams.forEach(team => {
+            team.playerIds = team.playerIds.filter(id => id !== playerId);
+        });
+        
+        console.log(`👋 [GameLogic] Jugador ${playerId} quitado de la sesión de sala ${roomCode}`);
+        
+        return true;
+    }
+
+    /**
+     * Exportar una sesión a un objeto serializable (para snapshots)
+     * @param {string} roomCode - Código de la sala
+     * @returns {Object|null} Estado de la sesión sin timers ni Maps
+     */
+    exportSession(roomCode) {
+        const session = this.getGameSession(roomCode);
+        
+        if (!session) {
+            return null;
+        }
+        
+        const { questionTimer, resultTimer, ...data } = session;
+        
+        return {
+            ...data,
+            players: session.players.map(p => ({ id: p.id, name: p.name, isObserver: !!p.isObserver })),
+            currentRoundAnswers: Array.from(session.currentRoundAnswers.entries()),
+            playerScores: Array.from(session.playerScores.entries()),
+            playerStreaks: Array.from(session.playerStreaks.entries()),
+            playerLives: Array.from(session.playerLives.entries()),
+            eliminatedPlayers: Array.from(session.eliminatedPlayers.entries()),
+            playerDifficulty: Array.from(session.playerDifficulty.entries()),
+            playerPerformance: Array.from(session.playerPerformance.entries())
+        };
+    }
+
+    /**
+     * Restaurar una sesión exportada con exportSession
+     * @param {Object} snapshot - Estado exportado
+     * @param {Array} players - Jugadores actuales de la sala (sustituyen a las copias guardadas)
+     * @returns {Object} Sesión restaurada
+     */
+    restoreSession(snapshot, players = []) {
+        const toDate = (value) => value ? new Date(value) : null;
+        
+        const session = {
+            ...snapshot,
+            players: snapshot.players.map(saved => players.find(p => p.id === saved.id) || saved),
+            currentRoundAnswers: new Map(snapshot.currentRoundAnswers),
+            playerScores: new Map(snapshot.playerScores),
+            playerStreaks: new Map(snapshot.playerStreaks),
+            playerLives: new Map(snapshot.playerLives),
+            eliminatedPlayers: new Map(snapshot.eliminatedPlayers),
+            playerDifficulty: new Map(snapshot.playerDifficulty || []),
+            playerPerformance: new Map(snapshot.playerPerformance || []),
+            teams: snapshot.teams || [],
+            answerLog: snapshot.answerLog || [],
+            questionTimer: null,
+            resultTimer: null,
+            gameStartedAt: toDate(snapshot.gameStartedAt),
+            questionStartedAt: toDate(snapshot.questionStartedAt),
+            questionDeadline: toDate(snapshot.questionDeadline)
+        };
+        
+        this.gameSessions.set(session.roomCode, session);
+        
+        console.log(`♻️ [GameLogic] Sesión restaurada para sala ${session.roomCode} (pregunta ${session.currentQuestionIndex + 1}/${session.questions.length})`);
+        
+        return session;
+    }
+
+    /**
+     * Obtener las respuestas individuales de cada ronda
+     * No se incluyen en los resultados emitidos para no mostrar a cada alumno lo que contestaron los demás
+     * @param {string} roomCode - Código de la sala
+     * @returns {Array} [{ questionNumber, answers: [{ playerId, answer, isCorrect, answered, responseTime }] }]
+     */
+    getAnswerLog(roomCode) {
+        const session = this.getGameSession(roomCode);
+        return session ? session.answerLog : [];
+    }
+
     /**
      * Obtener sesión de juego
      * @param {string} roomCode - Código de la sala
@@ -378,9 +814,7 @@ class GameLogic {
         }
         
         // Limpiar timers activos
-        if (session.questionTimer) {
-            clearTimeout(session.questionTimer);
-        }
+        this.clearQuestionTimer(session);
         if (session.resultTimer) {
             clearTimeout(session.resultTimer);
         }
@@ -404,52 +838,286 @@ class GameLogic {
         return this.questionBank.getQuestionSet(
             settings.totalQuestions,
             settings.difficultyLevel,
-            settings.categories
+            settings.categories,
+            settings.questionTime,
+            settings.questionSetId,
+            settings.questionTypes,
+            settings.seed
+        );
+    }
+
+    /**
+     * Generar un conjunto de preguntas por dificultad (modo adaptativo)
+     * @private
+     */
+    generateAdaptiveQuestionSets(settings) {
+        return this.questionBank.getAdaptiveQuestionSets(
+            settings.totalQuestions,
+            settings.categories,
+            settings.questionTime,
+            settings.questionTypes,
+            settings.seed
         );
     }
 
     /**
-     * Verificar si una respuesta es correcta
+     * Pregunta en curso para un jugador (la de su nivel en modo adaptativo)
      * @private
      */
-    checkAnswer(question, answer) {
-        // Normalizar respuestas para comparación
-        const normalizeAnswer = (ans) => {
-            if (typeof ans === 'number') return ans;
-            if (typeof ans === 'string') {
-                return ans.toLowerCase().trim();
+    getQuestionForPlayer(session, playerId) {
+        if (!session.adaptiveQuestions) {
+            return session.currentQuestion;
+        }
+        
+        const difficulty = session.playerDifficulty.get(playerId) || session.settings.difficultyLevel;
+        return session.adaptiveQuestions[difficulty]?.[session.currentQuestionIndex] || session.currentQuestion;
+    }
+
+    /**
+     * Rendimiento inicial de un jugador en modo adaptativo
+     * difficultyPerformance tiene la misma forma que las estadísticas de PlayerManager
+     * @private
+     */
+    createPerformance() {
+        return {
+            recent: [], // [{ isCorrect, speed }] en el nivel actual
+            difficultyPerformance: {
+                easy: { correct: 0, total: 0 },
+                medium: { correct: 0, total: 0 },
+                hard: { correct: 0, total: 0 }
             }
-            return String(ans).toLowerCase().trim();
         };
+    }
+
+    /**
+     * Subir o bajar el nivel de cada jugador según su precisión y rapidez recientes
+     * Solo sube a un nivel en el que ya falló (difficultyPerformance) si acertó todas las recientes
+     * @private
+     * @returns {Array} [{ playerId, difficulty, nextDifficulty }]
+     */
+    updateAdaptiveDifficulty(session, roundRanking) {
+        const levels = ['easy', 'medium', 'hard'];
+        const { window, minAnswers, promoteAccuracy, promoteSpeed, demoteAccuracy, minAttempts } = this.adaptiveConfig;
+        
+        return roundRanking.map(entry => {
+            const answer = session.currentRoundAnswers.get(entry.playerId);
+            const difficulty = answer?.difficulty || session.settings.difficultyLevel;
+            const performance = session.playerPerformance.get(entry.playerId) || this.createPerformance();
+            
+            // Registrar la respuesta de esta ronda
+            const stats = performance.difficultyPerformance[difficulty];
+            stats.total++;
+            if (entry.isCorrect) {
+                stats.correct++;
+            }
+            performance.recent = [
+                ...performance.recent,
+                { isCorrect: entry.isCorrect, speed: entry.answered ? answer.timeRemaining / session.settings.questionTime : 0 }
+            ].slice(-window);
+            
+            let nextDifficulty = difficulty;
+            
+            if (performance.recent.length >= minAnswers) {
+                const accuracy = performance.recent.filter(r => r.isCorrect).length / performance.recent.length;
+                const speed = performance.recent.reduce((sum, r) => sum + r.speed, 0) / performance.recent.length;
+                const level = levels.indexOf(difficulty);
+                
+                if (accuracy >= promoteAccuracy && speed >= promoteSpeed && level < levels.length - 1) {
+                    const harder = performance.difficultyPerformance[levels[level + 1]];
+                    const struggled = harder.total >= minAttempts && harder.correct / harder.total < promoteAccuracy;
+                    if (!struggled || accuracy === 1) {
+                        nextDifficulty = levels[level + 1];
+                    }
+                } else if (accuracy <= demoteAccuracy && level > 0) {
+                    nextDifficulty = levels[level - 1];
+                }
+            }
+            
+            // Al cambiar de nivel, la racha reciente vuelve a empezar
+            if (nextDifficulty !== difficulty) {
+                performance.recent = [];
+            }
+            
+            session.playerPerformance.set(entry.playerId, performance);
+            session.playerDifficulty.set(entry.playerId, nextDifficulty);
+            
+            return { playerId: entry.playerId, difficulty, nextDifficulty };
+        });
+    }
+
+    /**
+     * Pregunta, distribución de respuestas y errores típicos de cada nivel jugado en la ronda
+     * @private
+     */
+    getAdaptiveRoundQuestions(session, answers, submitted) {
+        const questions = {};
         
-        const userAnswer = normalizeAnswer(answer);
-        const correctAnswer = normalizeAnswer(question.correctAnswer);
+        for (const [difficulty, set] of Object.entries(session.adaptiveQuestions)) {
+            const question = set[session.currentQuestionIndex];
+            if (!question || !answers.some(a => a.difficulty === difficulty)) {
+                continue;
+            }
+            
+            const answerDistribution = this.getAnswerDistribution(question, submitted.filter(a => a.difficulty === difficulty));
+            questions[difficulty] = {
+                question: question,
+                correctAnswer: question.correctAnswer,
+                players: answers.filter(a => a.difficulty === difficulty).length,
+                answerDistribution: answerDistribution,
+                misconceptions: this.getMisconceptionSummary(question, answerDistribution)
+            };
+        }
         
-        return userAnswer === correctAnswer;
+        return questions;
     }
 
     /**
-     * Calcular puntos obtenidos por pregunta
+     * Corregir una respuesta ({ isCorrect, credit })
+     * @private
+     */
+    gradeAnswer(question, answer) {
+        return this.questionBank.gradeAnswer(question, answer);
+    }
+
+    /**
+     * Distribución de las respuestas enviadas en la ronda
+     * Opciones: jugadores que eligieron (o marcaron) cada opción; resto: cada respuesta distinta
      * @private
      */
-    calculateQuestionPoints(timeRemaining, maxTime, responseTime, difficulty) {
-        const basePoints = 100;
+    getAnswerDistribution(question, submitted) {
+        const distribution = {};
+        const count = key => { distribution[key] = (distribution[key] || 0) + 1; };
         
-        // Multiplicador por dificultad
-        const difficultyMultipliers = {
-            easy: 0.8,
-            medium: 1.0,
-            hard: 1.3
-        };
+        if (question.options?.length > 0 && question.type !== 'ordering') {
+            question.options.forEach(option => { distribution[option] = 0; });
+        }
         
-        let points = basePoints * (difficultyMultipliers[difficulty] || 1.0);
+        submitted.forEach(({ answer }) => {
+            if (question.type === 'multi_select' && Array.isArray(answer)) {
+                new Set(answer).forEach(option => count(String(option)));
+            } else {
+                count(Array.isArray(answer) ? answer.join(' > ') : String(answer).trim());
+            }
+        });
         
-        // Bonus por velocidad (máximo 50% extra)
-        const speedRatio = timeRemaining / maxTime;
-        const speedBonus = Math.round(points * 0.5 * speedRatio);
-        points += speedBonus;
+        return distribution;
+    }
+
+    /**
+     * Errores típicos de las opciones incorrectas elegidas en la ronda, de más a menos elegida
+     * Solo las preguntas generadas con distractores etiquetados tienen misconceptions
+     * @private
+     */
+    getMisconceptionSummary(question, distribution) {
+        if (!question.misconceptions) {
+            return [];
+        }
+        
+        return Object.entries(question.misconceptions)
+            .map(([answer, { tag, description }]) => ({
+                answer: answer,
+                misconception: tag,
+                description: description,
+                count: distribution[answer] || 0
+            }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Calcular puntos obtenidos por pregunta
+     * @private
+     */
+    calculateQuestionPoints(session, answerParams) {
+        return this.scoringEngine.calculatePoints(answerParams, session.scoringRules);
+    }
+
+    /**
+     * Obtener jugadores que pueden responder (ni observadores ni eliminados)
+     * @private
+     */
+    getActivePlayers(session) {
+        return session.players.filter(p => !p.isObserver && !session.eliminatedPlayers.has(p.id));
+    }
+
+    /**
+     * Verificar si todos los jugadores activos y conectados ya respondieron
+     * Los desconectados no bloquean la ronda; al cerrarla quedan sin respuesta
+     * @private
+     */
+    haveConnectedPlayersAnswered(session) {
+        const connected = this.getActivePlayers(session).filter(p => p.isConnected !== false);
+        return connected.length > 0 && connected.every(p => session.currentRoundAnswers.has(p.id));
+    }
+
+    /**
+     * Restar una vida a quienes fallaron o no respondieron y eliminar a los que llegan a 0
+     * @private
+     */
+    applyLivesPenalty(session) {
+        const questionNumber = session.currentQuestionIndex + 1;
         
-        return Math.round(points);
+        for (const answer of session.currentRoundAnswers.values()) {
+            if (answer.isCorrect || !session.playerLives.has(answer.playerId)) {
+                continue;
+            }
+            
+            const lives = Math.max(0, session.playerLives.get(answer.playerId) - 1);
+            session.playerLives.set(answer.playerId, lives);
+            
+            if (lives === 0 && !session.eliminatedPlayers.has(answer.playerId)) {
+                session.eliminatedPlayers.set(answer.playerId, questionNumber);
+                console.log(`💀 [GameLogic] Jugador ${answer.playerId} eliminado en sala ${session.roomCode}`);
+            }
+        }
+    }
+
+    /**
+     * Resumen de vidas por jugador
+     * @private
+     */
+    getLivesSummary(session) {
+        return Array.from(session.playerLives.entries()).map(([playerId, lives]) => ({
+            playerId: playerId,
+            lives: lives,
+            isEliminated: session.eliminatedPlayers.has(playerId)
+        }));
+    }
+
+    /**
+     * Verificar si el modo vidas terminó (queda un jugador o ninguno)
+     * @private
+     */
+    isEliminationComplete(session) {
+        if (session.settings.gameMode !== 'lives') {
+            return false;
+        }
+        
+        const remaining = this.getActivePlayers(session).length;
+        
+        // Con un único participante el juego sigue hasta que pierda todas sus vidas
+        return session.playerLives.size > 1 ? remaining <= 1 : remaining === 0;
+    }
+
+    /**
+     * Obtener duración de la pregunta en milisegundos
+     * @private
+     */
+    getQuestionTimeMs(session) {
+        return session.settings.questionTime
+            ? session.settings.questionTime * 1000
+            : this.timingConfig.questionDisplayTime;
+    }
+
+    /**
+     * Detener el temporizador de la pregunta actual
+     * @private
+     */
+    clearQuestionTimer(session) {
+        if (session.questionTimer) {
+            clearTimeout(session.questionTimer);
+            session.questionTimer = null;
+        }
     }
 
     /**
@@ -465,24 +1133,88 @@ class GameLogic {
      * @private
      */
     getOverallRanking(session) {
+        const livesMode = session.settings.gameMode === 'lives';
+        
         return Array.from(session.playerScores.entries())
             .map(([playerId, score]) => {
                 const player = session.players.find(p => p.id === playerId);
-                return {
+                const entry = {
                     playerId: playerId,
                     playerName: player ? player.name : 'Desconocido',
                     totalScore: score,
                     isObserver: player ? !!player.isObserver : false
                 };
+                
+                if (session.settings.teamMode) {
+                    entry.teamId = session.teams.find(team => team.playerIds.includes(playerId))?.id ?? null;
+                }
+                
+                if (livesMode) {
+                    entry.lives = session.playerLives.get(playerId) ?? 0;
+                    entry.isEliminated = session.eliminatedPlayers.has(playerId);
+                    entry.eliminatedAt = session.eliminatedPlayers.get(playerId) ?? null;
+                }
+                
+                return entry;
             })
             .filter(p => !p.isObserver)   // Excluir al host-moderador del ranking
-            .sort((a, b) => b.totalScore - a.totalScore)
+            .sort((a, b) => {
+                // En modo vidas, quien sobrevive más tiempo queda por delante
+                if (livesMode && a.eliminatedAt !== b.eliminatedAt) {
+                    if (a.eliminatedAt === null) return -1;
+                    if (b.eliminatedAt === null) return 1;
+                    return b.eliminatedAt - a.eliminatedAt;
+                }
+                return b.totalScore - a.totalScore;
+            })
             .map((player, index) => ({
                 ...player,
                 rank: index + 1
             }));
     }
 
+    /**
+     * Obtener ranking por equipos (suma o media de los puntos de sus jugadores)
+     * @private
+     * @param {Array|null} roundAnswers - Respuestas de la ronda, para añadir los puntos del equipo en ella
+     */
+    getTeamRanking(session, roundAnswers = null) {
+        const aggregate = (values) => {
+            const total = values.reduce((sum, value) => sum + value, 0);
+            if (session.settings.teamScoring !== 'average') return total;
+            return values.length ? Math.round(total / values.length) : 0;
+        };
+        
+        return session.teams
+            .map(team => {
+                const members = team.playerIds.map(playerId => ({
+                    playerId: playerId,
+                    playerName: session.players.find(p => p.id === playerId)?.name || 'Desconocido',
+                    totalScore: session.playerScores.get(playerId) || 0
+                }));
+                
+                const entry = {
+                    teamId: team.id,
+                    teamName: team.name,
+                    totalScore: aggregate(members.map(m => m.totalScore)),
+                    members: members.sort((a, b) => b.totalScore - a.totalScore)
+                };
+                
+                if (roundAnswers) {
+                    entry.roundPoints = aggregate(team.playerIds.map(playerId =>
+                        roundAnswers.find(a => a.playerId === playerId)?.pointsEarned || 0
+                    ));
+                }
+                
+                return entry;
+            })
+            .sort((a, b) => b.totalScore - a.totalScore)
+            .map((team, index) => ({
+                ...team,
+                rank: index + 1
+            }));
+    }
+
     /**
      * Actualizar estadísticas de la sesión
      * @private
@@ -507,17 +1239,22 @@ class GameLogic {
         const allAnswers = session.roundResults.flatMap(round => 
             round.roundRanking.map(rank => ({
                 isCorrect: rank.isCorrect,
+                answered: rank.answered,
                 responseTime: rank.responseTime
             }))
         );
         
+        const submitted = allAnswers.filter(a => a.answered);
         const correctAnswers = allAnswers.filter(a => a.isCorrect).length;
-        const avgResponseTime = allAnswers.reduce((sum, a) => sum + a.responseTime, 0) / allAnswers.length;
+        const avgResponseTime = submitted.length
+            ? submitted.reduce((sum, a) => sum + a.responseTime, 0) / submitted.length
+            : 0;
         
         return {
-            totalAnswers: allAnswers.length,
+            totalAnswers: submitted.length,
+            unanswered: allAnswers.length - submitted.length,
             correctAnswers: correctAnswers,
-            overallAccuracy: Math.round((correctAnswers / allAnswers.length) * 100),
+            overallAccuracy: allAnswers.length ? Math.round((correctAnswers / allAnswers.length) * 100) : 0,
             averageResponseTime: Math.round(avgResponseTime),
             fastestResponse: session.gameStats.fastestResponse,
             slowestResponse: session.gameStats.slowestResponse
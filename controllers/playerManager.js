@@ -1,5 +1,8 @@
 // controllers/playerManager.js - Gestor de Jugadores del Juego Math Battle
 
+import { randomUUID } from 'crypto';
+import ScoringEngine from './scoringEngine.js';
+
 /**
  * PLAYERMANAGER - Gestiona la creación, puntuación y estado de los jugadores
  * 
@@ -8,20 +11,26 @@
  * - Gestionar puntuaciones y estadísticas
  * - Asignar roles (host/jugador)
  * - Histórico de rendimiento
+ * - Reconexión mediante tokens estables
  */
 
 class PlayerManager {
-    constructor() {
+    /**
+     * @param {ScoringEngine} scoringEngine - Motor de puntuación compartido con GameLogic
+     * @param {QuestionBank|null} questionBank - Banco de preguntas (registro de categorías para las estadísticas)
+     */
+    constructor(scoringEngine = new ScoringEngine(), questionBank = null) {
         // Almacén de jugadores activos { playerId: playerData }
         this.players = new Map();
         
-        // Configuración de puntuación
-        this.scoringConfig = {
-            correctAnswer: 100,        // Puntos base por respuesta correcta
-            timeBonus: 50,            // Puntos extra por rapidez (máximo)
-            streakMultiplier: 1.5,    // Multiplicador por racha de respuestas correctas
-            wrongAnswer: 0            // Penalización por respuesta incorrecta
-        };
+        // Tokens de reconexión { reconnectToken: playerId } (nunca se envían a otros jugadores)
+        this.reconnectTokens = new Map();
+        
+        // Motor de puntuación (el mismo que usa GameLogic)
+        this.scoringEngine = scoringEngine;
+        
+        // Banco de preguntas: sus categorías aparecen en las estadísticas desde el principio
+        this.questionBank = questionBank;
         
         // Avatares predeterminados para jugadores
         this.defaultAvatars = [
@@ -32,6 +41,7 @@ class PlayerManager {
 
     /**
      * Crear nuevo jugador
+     * El ID del jugador es el del socket inicial y se mantiene aunque se reconecte
      * @param {string} socketId - ID del socket del jugador
      * @param {string} playerName - Nombre del jugador
      * @param {boolean} isHost - Si el jugador es el host de la sala
@@ -61,9 +71,13 @@ class PlayerManager {
             streak: 0,                    // Racha actual de respuestas correctas
             bestStreak: 0,               // Mejor racha en la sesión
             averageResponseTime: 0,       // Tiempo promedio de respuesta (ms)
+            lives: null,                  // Vidas restantes (solo en modo 'lives')
+            isEliminated: false,          // Eliminado en modo vidas (pasa a espectador)
             
             // Estado del jugador
+            socketId: socketId,           // Socket actual (cambia al reconectarse)
             isConnected: true,
+            disconnectedAt: null,
             isReady: false,
             currentRoom: null,
             
@@ -74,11 +88,7 @@ class PlayerManager {
             // Estadísticas detalladas
             gameStats: {
                 totalQuestions: 0,
-                correctByCategory: {
-                    arithmetic: 0,
-                    logic: 0,
-                    geometry: 0
-                },
+                correctByCategory: this.createCategoryStats(), // Aciertos por categoría (todas las del banco, a 0)
                 responseTimes: [],           // Array de tiempos de respuesta
                 difficultyPerformance: {     // Rendimiento por dificultad
                     easy: { correct: 0, total: 0 },
@@ -89,6 +99,7 @@ class PlayerManager {
         };
         
         this.players.set(socketId, playerData);
+        this.reconnectTokens.set(randomUUID(), socketId);
         
         console.log(`👤 [PlayerManager] Jugador creado: ${playerName} (${socketId}) ${isHost ? '[HOST]' : ''}`);
         
@@ -135,16 +146,17 @@ class PlayerManager {
             player.correctAnswers++;
             player.streak++;
             player.bestStreak = Math.max(player.bestStreak, player.streak);
-            
-            // Actualizar por categoría
-            if (category && player.gameStats.correctByCategory[category] !== undefined) {
-                player.gameStats.correctByCategory[category]++;
-            }
         } else {
             player.wrongAnswers++;
             player.streak = 0; // Romper racha
         }
         
+        // Actualizar por categoría (cualquier categoría, también las de conjuntos del profesor)
+        if (category) {
+            const correctByCategory = player.gameStats.correctByCategory;
+            correctByCategory[category] = (correctByCategory[category] || 0) + (isCorrect ? 1 : 0);
+        }
+        
         // Actualizar rendimiento por dificultad
         if (player.gameStats.difficultyPerformance[difficulty]) {
             player.gameStats.difficultyPerformance[difficulty].total++;
@@ -182,36 +194,142 @@ class PlayerManager {
      * Calcular puntos por respuesta correcta con bonificaciones
      * @param {number} timeRemaining - Tiempo restante cuando respondió (segundos)
      * @param {number} maxTime - Tiempo máximo para la pregunta (segundos)
-     * @param {number} streak - Racha actual del jugador
+     * @param {number} streak - Racha del jugador incluyendo esta respuesta
      * @param {string} difficulty - Dificultad de la pregunta
      * @returns {number} Puntos calculados
      */
     calculatePoints(timeRemaining, maxTime, streak, difficulty = 'medium') {
-        let points = this.scoringConfig.correctAnswer;
+        return this.scoringEngine.calculatePoints({
+            isCorrect: true,
+            timeRemaining: timeRemaining,
+            maxTime: maxTime,
+            difficulty: difficulty,
+            streak: streak
+        }).points;
+    }
+
+    /**
+     * Actualizar vidas restantes de un jugador (modo vidas)
+     * @param {string} playerId - ID del jugador
+     * @param {number} lives - Vidas restantes
+     * @returns {boolean} true si el jugador quedó eliminado
+     */
+    updatePlayerLives(playerId, lives) {
+        const player = this.getPlayer(playerId);
         
-        // Multiplicador por dificultad
-        const difficultyMultipliers = {
-            easy: 0.8,
-            medium: 1.0,
-            hard: 1.3
-        };
+        if (!player) {
+            return false;
+        }
+        
+        const wasEliminated = player.isEliminated;
+        player.lives = lives;
+        player.isEliminated = lives <= 0;
+        
+        if (player.isEliminated && !wasEliminated) {
+            console.log(`💀 [PlayerManager] ${player.name} se quedó sin vidas y pasa a espectador`);
+        }
+        
+        return player.isEliminated;
+    }
+
+    /**
+     * Obtener el token de reconexión de un jugador
+     * @param {string} playerId - ID del jugador
+     * @returns {string|null} Token de reconexión o null si no existe
+     */
+    getReconnectToken(playerId) {
+        for (const [token, id] of this.reconnectTokens.entries()) {
+            if (id === playerId) {
+                return token;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Marcar jugador como desconectado (inicia el periodo de gracia)
+     * @param {string} playerId - ID del jugador
+     * @returns {boolean} true si se marcó correctamente
+     */
+    markDisconnected(playerId) {
+        const player = this.players.get(playerId);
+        
+        if (!player) {
+            return false;
+        }
+        
+        player.isConnected = false;
+        player.disconnectedAt = new Date();
         
-        points *= (difficultyMultipliers[difficulty] || 1.0);
+        console.log(`📴 [PlayerManager] ${player.name} desconectado temporalmente`);
         
-        // Bonus por velocidad (0-50 puntos extra)
-        if (timeRemaining > 0 && maxTime > 0) {
-            const speedRatio = timeRemaining / maxTime;
-            const timeBonus = Math.round(this.scoringConfig.timeBonus * speedRatio);
-            points += timeBonus;
+        return true;
+    }
+
+    /**
+     * Reconectar jugador a un nuevo socket usando su token
+     * @param {string} reconnectToken - Token emitido al unirse a la sala
+     * @param {string} socketId - ID del nuevo socket
+     * @returns {Object} Datos del jugador reconectado
+     */
+    reconnectPlayer(reconnectToken, socketId) {
+        const playerId = this.reconnectTokens.get(reconnectToken);
+        const player = playerId ? this.players.get(playerId) : null;
+        
+        if (!player) {
+            throw new Error('Token de reconexión inválido o expirado');
+        }
+        
+        player.socketId = socketId;
+        player.isConnected = true;
+        player.disconnectedAt = null;
+        player.lastActivity = new Date();
+        
+        console.log(`🔁 [PlayerManager] ${player.name} reconectado (${socketId})`);
+        
+        return player;
+    }
+
+    /**
+     * Exportar un jugador junto con su token de reconexión (para snapshots)
+     * @param {string} playerId - ID del jugador
+     * @returns {Object|null} { player, reconnectToken } o null si no existe
+     */
+    exportPlayer(playerId) {
+        const player = this.players.get(playerId);
+        
+        if (!player) {
+            return null;
         }
         
-        // Multiplicador por racha
-        if (streak >= 3) {
-            const streakBonus = Math.min(streak / 10, 0.5); // Máximo 50% extra
-            points = Math.round(points * (1 + streakBonus));
+        return {
+            player: { ...player },
+            reconnectToken: this.getReconnectToken(playerId)
+        };
+    }
+
+    /**
+     * Restaurar un jugador exportado; queda desconectado hasta que use su token
+     * @param {Object} data - { player, reconnectToken } devuelto por exportPlayer
+     * @returns {Object} Datos del jugador restaurado
+     */
+    restorePlayer({ player, reconnectToken }) {
+        const playerData = {
+            ...player,
+            isConnected: false,
+            disconnectedAt: new Date(),
+            joinedAt: new Date(player.joinedAt),
+            lastActivity: new Date()
+        };
+        
+        this.players.set(playerData.id, playerData);
+        if (reconnectToken) {
+            this.reconnectTokens.set(reconnectToken, playerData.id);
         }
         
-        return Math.round(points);
+        console.log(`♻️ [PlayerManager] Jugador restaurado: ${playerData.name} (${playerData.id})`);
+        
+        return playerData;
     }
 
     /**
@@ -248,6 +366,11 @@ class PlayerManager {
         
         this.players.delete(playerId);
         
+        const token = this.getReconnectToken(playerId);
+        if (token) {
+            this.reconnectTokens.delete(token);
+        }
+        
         console.log(`👋 [PlayerManager] Jugador removido: ${player.name} (${playerId})`);
         
         return player;
@@ -334,16 +457,15 @@ class PlayerManager {
         player.correctAnswers = 0;
         player.wrongAnswers = 0;
         player.streak = 0;
+        player.bestStreak = 0;
         player.averageResponseTime = 0;
+        player.lives = null;
+        player.isEliminated = false;
         player.isReady = false;
         
         // Resetear estadísticas detalladas
         player.gameStats.totalQuestions = 0;
-        player.gameStats.correctByCategory = {
-            arithmetic: 0,
-            logic: 0,
-            geometry: 0
-        };
+        player.gameStats.correctByCategory = this.createCategoryStats();
         player.gameStats.responseTimes = [];
         player.gameStats.difficultyPerformance = {
             easy: { correct: 0, total: 0 },
@@ -362,6 +484,16 @@ class PlayerManager {
     // MÉTODOS AUXILIARES PRIVADOS
     // ==========================================
 
+    /**
+     * Aciertos a 0 en cada categoría del registro del banco de preguntas
+     * Las categorías que no están en el registro (conjuntos del profesor) se añaden al responder
+     * @private
+     */
+    createCategoryStats() {
+        const categories = this.questionBank ? this.questionBank.getCategories() : [];
+        return Object.fromEntries(categories.map(category => [category.id, 0]));
+    }
+
     /**
      * Validar nombre de jugador
      * @private
@@ -7,9 +7,15 @@
  * - Generar preguntas dinámicas por categoría y dificultad
  * - Almacenar preguntas predefinidas
  * - Selección aleatoria y balanceada
- * - Validación de respuestas
+ * - Validación de respuestas (opción múltiple, numéricas, verdadero/falso, selección múltiple y ordenación)
+ * - Conjuntos de preguntas personalizados creados por el profesor
  */
 
+import { randomUUID } from 'crypto';
+import AnswerChecker from './answerChecker.js';
+import DistractorEngine from './distractorEngine.js';
+import SeededRandom from './seededRandom.js';
+
 class QuestionBank {
     constructor() {
         // Preguntas predefinidas organizadas por categoría y dificultad
@@ -71,6 +77,33 @@ class QuestionBank {
                         category: "arithmetic",
                         difficulty: "medium",
                         type: "multiple_choice"
+                    },
+                    {
+                        question: "¿Verdadero o falso? 7 × 8 = 54",
+                        options: ["Verdadero", "Falso"],
+                        correctAnswer: "Falso",
+                        explanation: "7 × 8 = 56, no 54.",
+                        category: "arithmetic",
+                        difficulty: "medium",
+                        type: "true_false"
+                    },
+                    {
+                        question: "Ordena de menor a mayor: 3/4, 1/2, 2/3, 1/4",
+                        options: ["3/4", "1/2", "2/3", "1/4"],
+                        correctAnswer: ["1/4", "1/2", "2/3", "3/4"],
+                        explanation: "En decimales: 1/4 = 0.25, 1/2 = 0.5, 2/3 ≈ 0.67, 3/4 = 0.75.",
+                        category: "arithmetic",
+                        difficulty: "medium",
+                        type: "ordering"
+                    },
+                    {
+                        question: "Marca todos los números primos",
+                        options: ["2", "9", "11", "15", "17", "21"],
+                        correctAnswer: ["2", "11", "17"],
+                        explanation: "2, 11 y 17 solo son divisibles entre 1 y sí mismos; 9 = 3 × 3, 15 = 3 × 5 y 21 = 3 × 7.",
+                        category: "arithmetic",
+                        difficulty: "medium",
+                        type: "multi_select"
                     }
                 ],
                 hard: [
@@ -113,6 +146,15 @@ class QuestionBank {
                         category: "logic",
                         difficulty: "easy",
                         type: "multiple_choice"
+                    },
+                    {
+                        question: "¿Verdadero o falso? Todo número par es divisible entre 2.",
+                        options: ["Verdadero", "Falso"],
+                        correctAnswer: "Verdadero",
+                        explanation: "Un número es par precisamente cuando es divisible entre 2.",
+                        category: "logic",
+                        difficulty: "easy",
+                        type: "true_false"
                     }
                 ],
                 medium: [
@@ -137,12 +179,21 @@ class QuestionBank {
                 ],
                 hard: [
                     {
-                        question: "En una secuencia: 1, 1, 2, 3, 5, 8, ¿cuáles son los siguientes dos números?",
-                        options: ["13, 21", "11, 19", "12, 20", "10, 18"],
-                        correctAnswer: "13, 21",
+                        question: "En una secuencia: 1, 1, 2, 3, 5, 8, ¿cuáles son los siguientes dos números? (marca los dos)",
+                        options: ["13", "11", "21", "12", "19", "20"],
+                        correctAnswer: ["13", "21"],
                         explanation: "Secuencia de Fibonacci: cada número es la suma de los dos anteriores. 5+8=13, 8+13=21.",
                         category: "logic",
                         difficulty: "hard",
+                        type: "multi_select"
+                    },
+                    {
+                        question: "Si 3 gatos cazan 3 ratones en 3 minutos, ¿cuántos gatos hacen falta para cazar 100 ratones en 100 minutos?",
+                        options: ["3", "100", "33", "300"],
+                        correctAnswer: "3",
+                        explanation: "Cada gato caza 1 ratón cada 3 minutos; en 100 minutos, 3 gatos cazan unos 100 ratones.",
+                        category: "logic",
+                        difficulty: "hard",
                         type: "multiple_choice"
                     }
                 ]
@@ -166,6 +217,15 @@ class QuestionBank {
                         category: "geometry",
                         difficulty: "easy",
                         type: "multiple_choice"
+                    },
+                    {
+                        question: "¿Verdadero o falso? Un cuadrado tiene cuatro ángulos rectos.",
+                        options: ["Verdadero", "Falso"],
+                        correctAnswer: "Verdadero",
+                        explanation: "Los cuatro ángulos de un cuadrado miden 90°.",
+                        category: "geometry",
+                        difficulty: "easy",
+                        type: "true_false"
                     }
                 ],
                 medium: [
@@ -186,6 +246,15 @@ class QuestionBank {
                         category: "geometry",
                         difficulty: "medium",
                         type: "multiple_choice"
+                    },
+                    {
+                        question: "Ordena de menos a más lados: hexágono, triángulo, pentágono, cuadrado",
+                        options: ["hexágono", "triángulo", "pentágono", "cuadrado"],
+                        correctAnswer: ["triángulo", "cuadrado", "pentágono", "hexágono"],
+                        explanation: "Triángulo (3), cuadrado (4), pentágono (5), hexágono (6).",
+                        category: "geometry",
+                        difficulty: "medium",
+                        type: "ordering"
                     }
                 ],
                 hard: [
@@ -196,7 +265,8 @@ class QuestionBank {
                         explanation: "Área = π × r² = 3.14 × 6² = 3.14 × 36 = 113.04 cm².",
                         category: "geometry",
                         difficulty: "hard",
-                        type: "multiple_choice"
+                        type: "multiple_choice",
+                        tolerance: { relative: 0.01 } // Si se pregunta como numérica, acepta otros redondeos de π
                     }
                 ]
             }
@@ -228,34 +298,86 @@ class QuestionBank {
             }
         };
         
+        // Categorías disponibles: nombre, generador dinámico y probabilidad de usar una predefinida
+        // Las categorías con generador propio usan menos las predefinidas para no repetirse.
+        // Añadir una categoría aquí basta para que aparezca en salas, estadísticas y en /api/categories
+        this.categories = {
+            arithmetic: {
+                name: 'Aritmética',
+                generate: difficulty => this.generateArithmeticQuestion(difficulty),
+                predefinedRatio: 0.7
+            },
+            logic: {
+                name: 'Lógica',
+                generate: difficulty => this.generateLogicQuestion(difficulty),
+                predefinedRatio: 0.3
+            },
+            geometry: {
+                name: 'Geometría',
+                generate: difficulty => this.generateGeometryQuestion(difficulty),
+                predefinedRatio: 0.3
+            },
+            fractions: {
+                name: 'Fracciones, decimales y porcentajes',
+                generate: difficulty => this.generateFractionsQuestion(difficulty),
+                predefinedRatio: 0
+            },
+            algebra: {
+                name: 'Álgebra',
+                generate: difficulty => this.generateAlgebraQuestion(difficulty),
+                predefinedRatio: 0
+            }
+        };
+        
+        // Corrección de respuestas (compartida con GameLogic)
+        this.answerChecker = new AnswerChecker();
+        
+        // Fuente de aleatoriedad: Math.random, o un generador con semilla mientras se genera un conjunto
+        this.random = Math.random;
+        
+        // Distractores de aritmética basados en errores típicos (con la misma fuente de aleatoriedad)
+        this.distractorEngine = new DistractorEngine(() => this.random());
+        
+        // Conjuntos de preguntas del profesor { setId: questionSet }
+        this.customSets = new Map();
+        
+        // Límites de los conjuntos personalizados
+        this.customSetLimits = {
+            maxQuestions: 200,
+            minOptions: 2,
+            maxOptions: 6,
+            maxTextLength: 500
+        };
+        
         console.log('📚 [QuestionBank] Banco de preguntas inicializado');
         console.log(`   - Preguntas predefinidas: ${this.getTotalPredefinedQuestions()}`);
     }
 
     /**
      * Obtener pregunta aleatoria
-     * @param {string} category - Categoría ('arithmetic', 'logic', 'geometry')
+     * @param {string} category - Categoría ('arithmetic', 'logic', 'geometry', 'fractions', 'algebra')
      * @param {string} difficulty - Dificultad ('easy', 'medium', 'hard')
      * @returns {Object} Pregunta seleccionada
      */
     getRandomQuestion(category = null, difficulty = null) {
         // Si no se especifica categoría, elegir aleatoriamente
         if (!category) {
-            const categories = Object.keys(this.predefinedQuestions);
-            category = categories[Math.floor(Math.random() * categories.length)];
+            const categories = Object.keys(this.categories);
+            category = categories[Math.floor(this.random() * categories.length)];
+        }
+        
+        if (!this.categories[category]) {
+            throw new Error(`Categoría ${category} no encontrada`);
         }
         
         // Si no se especifica dificultad, elegir aleatoriamente
         if (!difficulty) {
-            const difficulties = Object.keys(this.predefinedQuestions[category] || {});
-            if (difficulties.length === 0) {
-                throw new Error(`Categoría ${category} no encontrada`);
-            }
-            difficulty = difficulties[Math.floor(Math.random() * difficulties.length)];
+            const difficulties = ['easy', 'medium', 'hard'];
+            difficulty = difficulties[Math.floor(this.random() * difficulties.length)];
         }
         
-        // 70% probabilidad de usar pregunta predefinida, 30% generar dinámicamente
-        const usePredefined = Math.random() < 0.7;
+        // Probabilidad de usar pregunta predefinida; el resto se genera dinámicamente
+        const usePredefined = this.random() < this.categories[category].predefinedRatio;
         
         if (usePredefined && this.predefinedQuestions[category]?.[difficulty]?.length > 0) {
             return this.getPredefinedQuestion(category, difficulty);
@@ -267,11 +389,23 @@ class QuestionBank {
     /**
      * Obtener conjunto de preguntas para una sesión
      * @param {number} count - Número de preguntas
-     * @param {string} difficulty - Dificultad base
+     * @param {string|Object} difficulty - Dificultad base o distribución fija ({ hard: 1 })
      * @param {Array} categories - Categorías a incluir
+     * @param {number} timeLimit - Tiempo por pregunta (segundos)
+     * @param {string|null} questionSetId - Conjunto del profesor a usar en lugar del banco
+     * @param {Array} questionTypes - Tipos permitidos además de opción múltiple ('numeric', 'true_false', 'multi_select', 'ordering')
+     * @param {string|number|null} seed - Semilla: la misma semilla genera las mismas preguntas en el mismo orden
      * @returns {Array} Array de preguntas
      */
-    getQuestionSet(count, difficulty = 'medium', categories = ['arithmetic', 'logic', 'geometry']) {
+    getQuestionSet(count, difficulty = 'medium', categories = ['arithmetic', 'logic', 'geometry'], timeLimit = 30, questionSetId = null, questionTypes = ['multiple_choice'], seed = null) {
+        if (seed !== null && seed !== undefined) {
+            return this.withSeed(seed, () => this.getQuestionSet(count, difficulty, categories, timeLimit, questionSetId, questionTypes));
+        }
+        
+        if (questionSetId) {
+            return this.getCustomQuestions(questionSetId, count, timeLimit);
+        }
+        
         const questions = [];
         const usedQuestions = new Set(); // Para evitar duplicados
         
@@ -285,22 +419,41 @@ class QuestionBank {
             let attempts = 0;
             let question = null;
             
-            // Intentar obtener pregunta única (máximo 10 intentos)
+            // Intentar obtener pregunta única de un tipo permitido (máximo 10 intentos)
             while (attempts < 10) {
-                question = this.getRandomQuestion(category, questionDifficulty);
+                attempts++;
+                const candidate = this.getRandomQuestion(category, questionDifficulty);
+                
+                // La opción múltiple siempre se admite; el resto de tipos solo si la sala los activó
+                if (candidate.type !== 'multiple_choice' && !questionTypes.includes(candidate.type)) {
+                    continue;
+                }
+                
+                question = candidate;
                 const questionKey = `${question.question}-${question.correctAnswer}`;
                 
                 if (!usedQuestions.has(questionKey)) {
                     usedQuestions.add(questionKey);
                     break;
                 }
-                attempts++;
             }
             
             if (question) {
+                // Las ordenaciones se muestran desordenadas
+                if (question.type === 'ordering') {
+                    question.options = this.shuffleArray(question.options);
+                }
+                
+                // Preguntar como respuesta libre si la sala lo permite y la respuesta es un número
+                // (salvo si también cuenta la forma: la respuesta libre se corrige por valor y 12/21 valdría por 4/7)
+                const type = questionTypes[Math.floor(this.random() * questionTypes.length)];
+                if (type === 'numeric' && !question.lowestTerms && this.answerChecker.parseNumber(question.correctAnswer) !== null) {
+                    question = this.toNumericQuestion(question);
+                }
+                
                 // Añadir metadatos adicionales
                 question.id = `q_${i + 1}`;
-                question.timeLimit = 30; // segundos
+                question.timeLimit = timeLimit; // segundos
                 questions.push(question);
             }
         }
@@ -310,6 +463,29 @@ class QuestionBank {
         return questions;
     }
 
+    /**
+     * Obtener un conjunto de preguntas por dificultad para el modo adaptativo
+     * La pregunta i de cada nivel es de la misma categoría: cada jugador recibe la de su nivel
+     * @param {number} count - Número de preguntas
+     * @param {Array} categories - Categorías a incluir
+     * @param {number} timeLimit - Tiempo por pregunta (segundos)
+     * @param {Array} questionTypes - Tipos permitidos además de opción múltiple
+     * @param {string|number|null} seed - Semilla para repetir los mismos conjuntos
+     * @returns {Object} { easy: [...], medium: [...], hard: [...] }
+     */
+    getAdaptiveQuestionSets(count, categories = ['arithmetic', 'logic', 'geometry'], timeLimit = 30, questionTypes = ['multiple_choice'], seed = null) {
+        if (seed !== null && seed !== undefined) {
+            return this.withSeed(seed, () => this.getAdaptiveQuestionSets(count, categories, timeLimit, questionTypes));
+        }
+        
+        const sets = {};
+        for (const level of ['easy', 'medium', 'hard']) {
+            sets[level] = this.getQuestionSet(count, { [level]: 1 }, categories, timeLimit, null, questionTypes);
+        }
+        
+        return sets;
+    }
+
     /**
      * Validar respuesta
      * @param {Object} question - Datos de la pregunta
@@ -317,12 +493,368 @@ class QuestionBank {
      * @returns {boolean} true si es correcta
      */
     validateAnswer(question, answer) {
-        const normalizeAnswer = (ans) => {
-            if (typeof ans === 'number') return ans.toString();
-            return String(ans).toLowerCase().trim();
+        return this.answerChecker.check(question, answer);
+    }
+
+    /**
+     * Corregir respuesta con crédito parcial (selección múltiple)
+     * @param {Object} question - Datos de la pregunta
+     * @param {string|number|boolean|Array} answer - Respuesta del usuario
+     * @returns {Object} { isCorrect, credit }
+     */
+    gradeAnswer(question, answer) {
+        return this.answerChecker.grade(question, answer);
+    }
+
+    /**
+     * Vista pública de una pregunta: sin respuesta, explicación, tolerancia ni errores típicos de las opciones
+     * (los errores típicos delatan cuáles son las incorrectas)
+     * @param {Object} question - Datos de la pregunta
+     * @returns {Object} { id, type, question, options, unit, category, difficulty, timeLimit }
+     */
+    getPublicQuestion(question) {
+        const publicQuestion = {
+            id: question.id,
+            type: question.type || 'multiple_choice',
+            question: question.question,
+            category: question.category,
+            difficulty: question.difficulty,
+            timeLimit: question.timeLimit
+        };
+        
+        if (question.options) {
+            publicQuestion.options = [...question.options];
+        }
+        
+        if (question.unit) {
+            publicQuestion.unit = question.unit;
+        }
+        
+        return publicQuestion;
+    }
+
+    /**
+     * Listar las categorías disponibles
+     * @returns {Array} [{ id, name }]
+     */
+    getCategories() {
+        return Object.entries(this.categories).map(([id, definition]) => ({
+            id: id,
+            name: definition.name
+        }));
+    }
+
+    // ==========================================
+    // CONJUNTOS DE PREGUNTAS DEL PROFESOR
+    // ==========================================
+
+    /**
+     * Validar un conjunto de preguntas sin guardarlo
+     * @param {Object} data - { name, description, questions: [{ type, question, options, correctAnswer, tolerance, unit, category, difficulty, explanation }] }
+     *                        correctAnswer es una lista en 'multi_select' (todas las correctas) y 'ordering' (orden correcto)
+     * @returns {Object} { valid, errors } con un mensaje por cada problema encontrado
+     */
+    validateQuestionSet(data) {
+        const errors = [];
+        const { maxQuestions, maxTextLength } = this.customSetLimits;
+        const isText = (value, maxLength = maxTextLength) =>
+            typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+        
+        if (!data || typeof data !== 'object') {
+            return { valid: false, errors: ['El conjunto de preguntas debe ser un objeto'] };
+        }
+        
+        if (!isText(data.name, 100)) {
+            errors.push('El nombre es obligatorio (máximo 100 caracteres)');
+        }
+        
+        if (data.description !== undefined && typeof data.description !== 'string') {
+            errors.push('La descripción debe ser texto');
+        }
+        
+        if (!Array.isArray(data.questions) || data.questions.length === 0) {
+            errors.push('El conjunto debe tener al menos una pregunta');
+            return { valid: false, errors };
+        }
+        
+        if (data.questions.length > maxQuestions) {
+            errors.push(`El conjunto no puede tener más de ${maxQuestions} preguntas`);
+        }
+        
+        data.questions.forEach((q, index) => {
+            const label = `Pregunta ${index + 1}`;
+            
+            if (!q || typeof q !== 'object') {
+                errors.push(`${label}: formato inválido`);
+                return;
+            }
+            
+            if (!isText(q.question)) {
+                errors.push(`${label}: falta el enunciado`);
+            }
+            
+            if (!isText(q.category, 50)) {
+                errors.push(`${label}: falta la categoría`);
+            }
+            
+            if (!['easy', 'medium', 'hard'].includes(q.difficulty)) {
+                errors.push(`${label}: dificultad inválida (easy, medium o hard)`);
+            }
+            
+            if (q.explanation !== undefined && typeof q.explanation !== 'string') {
+                errors.push(`${label}: la explicación debe ser texto`);
+            }
+            
+            switch (q.type || 'multiple_choice') {
+                case 'multiple_choice':
+                    errors.push(...this.validateChoiceQuestion(q, label));
+                    break;
+                case 'numeric':
+                    errors.push(...this.validateNumericQuestion(q, label));
+                    break;
+                case 'true_false':
+                    if (!this.answerChecker.trueFalseOptions.includes(this.answerChecker.toTrueFalse(q.correctAnswer))) {
+                        errors.push(`${label}: la respuesta correcta debe ser Verdadero o Falso`);
+                    }
+                    break;
+                case 'multi_select':
+                    errors.push(...this.validateMultiSelectQuestion(q, label));
+                    break;
+                case 'ordering':
+                    errors.push(...this.validateOrderingQuestion(q, label));
+                    break;
+                default:
+                    errors.push(`${label}: tipo de pregunta no soportado (${q.type})`);
+            }
+        });
+        
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Crear un conjunto de preguntas del profesor
+     * @param {Object} data - Datos del conjunto (ver validateQuestionSet)
+     * @param {string} setId - ID a conservar al reemplazar un conjunto existente
+     * @returns {Object} Conjunto normalizado y registrado
+     */
+    createCustomSet(data, setId = null) {
+        const { valid, errors } = this.validateQuestionSet(data);
+        
+        if (!valid) {
+            throw new Error(`Conjunto de preguntas inválido: ${errors.join('; ')}`);
+        }
+        
+        const existing = setId ? this.customSets.get(setId) : null;
+        const now = new Date().toISOString();
+        
+        const questionSet = {
+            id: setId || randomUUID(),
+            name: data.name.trim(),
+            description: (data.description || '').trim(),
+            questions: data.questions.map(q => this.normalizeCustomQuestion(q)),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        
+        this.customSets.set(questionSet.id, questionSet);
+        
+        console.log(`📝 [QuestionBank] Conjunto "${questionSet.name}" guardado (${questionSet.questions.length} preguntas)`);
+        
+        return questionSet;
+    }
+
+    /**
+     * Registrar un conjunto ya guardado (al cargar desde el almacenamiento)
+     * @param {Object} questionSet - Conjunto normalizado
+     */
+    registerCustomSet(questionSet) {
+        this.customSets.set(questionSet.id, questionSet);
+    }
+
+    /**
+     * Obtener un conjunto del profesor
+     * @param {string} setId - ID del conjunto
+     * @returns {Object|null} Conjunto o null si no existe
+     */
+    getCustomSet(setId) {
+        return this.customSets.get(setId) || null;
+    }
+
+    /**
+     * Listar los conjuntos del profesor (sin las preguntas)
+     * @returns {Array} Resúmenes de los conjuntos
+     */
+    listCustomSets() {
+        return Array.from(this.customSets.values()).map(questionSet => ({
+            id: questionSet.id,
+            name: questionSet.name,
+            description: questionSet.description,
+            totalQuestions: questionSet.questions.length,
+            categories: [...new Set(questionSet.questions.map(q => q.category))],
+            createdAt: questionSet.createdAt,
+            updatedAt: questionSet.updatedAt
+        }));
+    }
+
+    /**
+     * Eliminar un conjunto del profesor
+     * @param {string} setId - ID del conjunto
+     * @returns {boolean} true si existía
+     */
+    deleteCustomSet(setId) {
+        return this.customSets.delete(setId);
+    }
+
+    /**
+     * Validar opciones y respuesta de una pregunta de opción múltiple
+     * @private
+     */
+    validateChoiceQuestion(q, label) {
+        const errors = this.validateOptionList(q.options, label);
+        
+        const options = Array.isArray(q.options) ? q.options.map(option => String(option).trim().toLowerCase()) : [];
+        if (q.correctAnswer === undefined || !options.includes(String(q.correctAnswer).trim().toLowerCase())) {
+            errors.push(`${label}: la respuesta correcta debe ser una de las opciones`);
+        }
+        
+        return errors;
+    }
+
+    /**
+     * Validar número de opciones, vacías y repetidas
+     * @private
+     */
+    validateOptionList(list, label) {
+        const errors = [];
+        const { minOptions, maxOptions } = this.customSetLimits;
+        
+        if (!Array.isArray(list) || list.length < minOptions || list.length > maxOptions) {
+            return [`${label}: debe tener entre ${minOptions} y ${maxOptions} opciones`];
+        }
+        
+        const options = list.map(option => String(option).trim().toLowerCase());
+        if (options.some(option => option.length === 0)) {
+            errors.push(`${label}: hay opciones vacías`);
+        }
+        if (new Set(options).size !== options.length) {
+            errors.push(`${label}: hay opciones repetidas`);
+        }
+        
+        return errors;
+    }
+
+    /**
+     * Validar opciones y respuestas de una selección múltiple
+     * @private
+     */
+    validateMultiSelectQuestion(q, label) {
+        const errors = this.validateOptionList(q.options, label);
+        
+        if (!Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0) {
+            return [...errors, `${label}: las respuestas correctas deben ser una lista no vacía`];
+        }
+        
+        const options = (q.options || []).map(option => String(option).trim().toLowerCase());
+        if (!q.correctAnswer.every(answer => options.includes(String(answer).trim().toLowerCase()))) {
+            errors.push(`${label}: todas las respuestas correctas deben ser opciones`);
+        }
+        
+        return errors;
+    }
+
+    /**
+     * Validar una ordenación (correctAnswer = elementos en el orden correcto)
+     * @private
+     */
+    validateOrderingQuestion(q, label) {
+        return Array.isArray(q.correctAnswer)
+            ? this.validateOptionList(q.correctAnswer, label)
+            : [`${label}: la respuesta correcta debe ser la lista de elementos en orden`];
+    }
+
+    /**
+     * Validar respuesta y tolerancia de una pregunta numérica
+     * @private
+     */
+    validateNumericQuestion(q, label) {
+        const errors = [];
+        
+        if (this.answerChecker.parseNumber(q.correctAnswer) === null) {
+            errors.push(`${label}: la respuesta correcta debe ser un número`);
+        }
+        
+        if (q.tolerance !== undefined) {
+            const { absolute = 0, relative = 0 } = q.tolerance || {};
+            const isValid = (value, max) => typeof value === 'number' && value >= 0 && value <= max;
+            if (!isValid(absolute, Infinity) || !isValid(relative, 1)) {
+                errors.push(`${label}: tolerancia inválida ({ absolute >= 0, relative entre 0 y 1 })`);
+            }
+        }
+        
+        if (q.unit !== undefined && typeof q.unit !== 'string') {
+            errors.push(`${label}: la unidad debe ser texto`);
+        }
+        
+        return errors;
+    }
+
+    /**
+     * Dejar una pregunta validada del profesor con el formato del banco
+     * @private
+     */
+    normalizeCustomQuestion(q) {
+        const trim = list => list.map(item => String(item).trim());
+        const question = {
+            question: q.question.trim(),
+            options: [],
+            correctAnswer: Array.isArray(q.correctAnswer) ? trim(q.correctAnswer) : String(q.correctAnswer).trim(),
+            explanation: (q.explanation || '').trim(),
+            category: q.category.trim(),
+            difficulty: q.difficulty,
+            type: q.type || 'multiple_choice'
         };
         
-        return normalizeAnswer(answer) === normalizeAnswer(question.correctAnswer);
+        switch (question.type) {
+            case 'numeric':
+                question.tolerance = { absolute: 0, relative: 0, ...q.tolerance };
+                question.unit = (q.unit || '').trim();
+                break;
+            case 'true_false':
+                question.options = [...this.answerChecker.trueFalseOptions];
+                question.correctAnswer = this.answerChecker.toTrueFalse(q.correctAnswer);
+                break;
+            case 'ordering':
+                question.options = [...question.correctAnswer]; // Se desordenan al servir la pregunta
+                break;
+            default:
+                question.options = trim(q.options);
+        }
+        
+        return question;
+    }
+
+    /**
+     * Preguntas de un conjunto del profesor, en el orden en que las escribió
+     * La dificultad y las categorías de la sala no se aplican: el conjunto manda
+     * @private
+     */
+    getCustomQuestions(setId, count, timeLimit) {
+        const questionSet = this.getCustomSet(setId);
+        
+        if (!questionSet) {
+            throw new Error(`Conjunto de preguntas ${setId} no encontrado`);
+        }
+        
+        const questions = questionSet.questions.slice(0, count).map((q, i) => ({
+            ...q,
+            options: q.type === 'ordering' ? this.shuffleArray(q.options) : [...q.options],
+            id: `q_${i + 1}`,
+            timeLimit: timeLimit // segundos
+        }));
+        
+        console.log(`📋 [QuestionBank] ${questions.length} preguntas del conjunto "${questionSet.name}"`);
+        
+        return questions;
     }
 
     // ==========================================
@@ -340,7 +872,7 @@ class QuestionBank {
             throw new Error(`No hay preguntas predefinidas para ${category}/${difficulty}`);
         }
         
-        const randomIndex = Math.floor(Math.random() * questions.length);
+        const randomIndex = Math.floor(this.random() * questions.length);
         return { ...questions[randomIndex] }; // Clonar para evitar mutaciones
     }
 
@@ -353,16 +885,13 @@ class QuestionBank {
      * @private
      */
     generateDynamicQuestion(category, difficulty) {
-        switch (category) {
-            case 'arithmetic':
-                return this.generateArithmeticQuestion(difficulty);
-            case 'logic':
-                return this.generateLogicQuestion(difficulty);
-            case 'geometry':
-                return this.generateGeometryQuestion(difficulty);
-            default:
-                throw new Error(`Categoría ${category} no soportada para generación dinámica`);
+        const definition = this.categories[category];
+        
+        if (!definition) {
+            throw new Error(`Categoría ${category} no soportada para generación dinámica`);
         }
+        
+        return definition.generate(difficulty);
     }
 
     /**
@@ -371,7 +900,7 @@ class QuestionBank {
      */
     generateArithmeticQuestion(difficulty) {
         const operations = ['addition', 'subtraction', 'multiplication', 'division', 'exponent', 'squareroot', 'orderofoperations'];
-        const operation = operations[Math.floor(Math.random() * operations.length)];
+        const operation = operations[Math.floor(this.random() * operations.length)];
         
         switch (operation) {
             case 'addition':
@@ -407,18 +936,13 @@ class QuestionBank {
         const b = this.randomInt(range.min, range.max);
         const answer = a + b;
         
-        const wrongAnswers = this.generateWrongAnswers(answer, 3);
-        const options = this.shuffleArray([answer.toString(), ...wrongAnswers]);
-        
-        return {
+        return this.buildArithmeticQuestion({
             question: `¿Cuánto es ${a} + ${b}?`,
-            options: options,
-            correctAnswer: answer.toString(),
+            correct: answer,
+            distractors: this.distractorEngine.generate('addition', [a, b], answer),
             explanation: `${a} + ${b} = ${answer}`,
-            category: 'arithmetic',
-            difficulty: difficulty,
-            type: 'multiple_choice'
-        };
+            difficulty
+        });
     }
 
     /**
@@ -440,18 +964,13 @@ class QuestionBank {
         if (b > a) [a, b] = [b, a];
         
         const answer = a - b;
-        const wrongAnswers = this.generateWrongAnswers(answer, 3);
-        const options = this.shuffleArray([answer.toString(), ...wrongAnswers]);
-        
-        return {
+        return this.buildArithmeticQuestion({
             question: `¿Cuánto es ${a} - ${b}?`,
-            options: options,
-            correctAnswer: answer.toString(),
+            correct: answer,
+            distractors: this.distractorEngine.generate('subtraction', [a, b], answer),
             explanation: `${a} - ${b} = ${answer}`,
-            category: 'arithmetic',
-            difficulty: difficulty,
-            type: 'multiple_choice'
-        };
+            difficulty
+        });
     }
 
     /**
@@ -470,18 +989,13 @@ class QuestionBank {
         const b = this.randomInt(range.min, range.max);
         const answer = a * b;
         
-        const wrongAnswers = this.generateWrongAnswers(answer, 3);
-        const options = this.shuffleArray([answer.toString(), ...wrongAnswers]);
-        
-        return {
+        return this.buildArithmeticQuestion({
             question: `¿Cuánto es ${a} × ${b}?`,
-            options: options,
-            correctAnswer: answer.toString(),
+            correct: answer,
+            distractors: this.distractorEngine.generate('multiplication', [a, b], answer),
             explanation: `${a} × ${b} = ${answer}`,
-            category: 'arithmetic',
-            difficulty: difficulty,
-            type: 'multiple_choice'
-        };
+            difficulty
+        });
     }
 
     /**
@@ -500,18 +1014,13 @@ class QuestionBank {
         const quotient = this.randomInt(range.min, range.max);
         const dividend = divisor * quotient;
         
-        const wrongAnswers = this.generateWrongAnswers(quotient, 3);
-        const options = this.shuffleArray([quotient.toString(), ...wrongAnswers]);
-        
-        return {
+        return this.buildArithmeticQuestion({
             question: `¿Cuánto es ${dividend} ÷ ${divisor}?`,
-            options: options,
-            correctAnswer: quotient.toString(),
+            correct: quotient,
+            distractors: this.distractorEngine.generate('division', [dividend, divisor], quotient),
             explanation: `${dividend} ÷ ${divisor} = ${quotient}`,
-            category: 'arithmetic',
-            difficulty: difficulty,
-            type: 'multiple_choice'
-        };
+            difficulty
+        });
     }
 
     /**
@@ -525,22 +1034,17 @@ class QuestionBank {
             hard:   { bases: [2,3,4,5,6,7,8,9,10], exps: [2,3,4] }
         };
         const cfg = configs[difficulty] || configs.medium;
-        const base = cfg.bases[Math.floor(Math.random() * cfg.bases.length)];
-        const exp  = cfg.exps[Math.floor(Math.random() * cfg.exps.length)];
+        const base = cfg.bases[Math.floor(this.random() * cfg.bases.length)];
+        const exp  = cfg.exps[Math.floor(this.random() * cfg.exps.length)];
         const answer = Math.pow(base, exp);
 
-        const wrongAnswers = this.generateWrongAnswers(answer, 3);
-        const options = this.shuffleArray([answer.toString(), ...wrongAnswers]);
-
-        return {
+        return this.buildArithmeticQuestion({
             question: `¿Cuánto es ${base}^${exp}?`,
-            options: options,
-            correctAnswer: answer.toString(),
+            correct: answer,
+            distractors: this.distractorEngine.generate('exponent', [base, exp], answer),
             explanation: `${base}^${exp} = ${answer}`,
-            category: 'arithmetic',
-            difficulty: difficulty,
-            type: 'multiple_choice'
-        };
+            difficulty
+        });
     }
 
     /**
@@ -554,21 +1058,16 @@ class QuestionBank {
             hard:   [400,441,484,529,576,625,676,729,784,900]
         };
         const pool = pools[difficulty] || pools.easy;
-        const radicand = pool[Math.floor(Math.random() * pool.length)];
+        const radicand = pool[Math.floor(this.random() * pool.length)];
         const answer = Math.round(Math.sqrt(radicand));
 
-        const wrongAnswers = this.generateWrongAnswers(answer, 3);
-        const options = this.shuffleArray([answer.toString(), ...wrongAnswers]);
-
-        return {
+        return this.buildArithmeticQuestion({
             question: `¿Cuánto es √${radicand}?`,
-            options: options,
-            correctAnswer: answer.toString(),
+            correct: answer,
+            distractors: this.distractorEngine.generate('squareroot', [radicand], answer),
             explanation: `√${radicand} = ${answer}`,
-            category: 'arithmetic',
-            difficulty: difficulty,
-            type: 'multiple_choice'
-        };
+            difficulty
+        });
     }
 
     /**
@@ -582,70 +1081,343 @@ class QuestionBank {
             hard:   { types: ['add_mul', 'mul_add', 'paren_add_mul', 'paren_sub_mul', 'three_terms', 'paren_mul_add'], max: 15 }
         };
         const cfg = configs[difficulty] || configs.medium;
-        const type = cfg.types[Math.floor(Math.random() * cfg.types.length)];
+        const type = cfg.types[Math.floor(this.random() * cfg.types.length)];
         const hi = cfg.max;
         const r = (a, b) => this.randomInt(a, b);
 
-        let expr, correct, w1, w2, w3;
+        let expr, correct, wrongs;
 
         if (type === 'add_mul') {
             const a=r(1,hi), b=r(2,hi), c=r(2,hi);
             expr=`${a} + ${b} × ${c}`;  correct=a+b*c;
-            w1=(a+b)*c; w2=a*b+c; w3=a+b+c;
+            wrongs=[[(a+b)*c, 'order_of_operations'], [a*b+c, 'order_of_operations'], [a+b+c, 'swapped_operation']];
         } else if (type === 'mul_add') {
             const a=r(2,hi), b=r(2,hi), c=r(1,hi);
             expr=`${a} × ${b} + ${c}`;  correct=a*b+c;
-            w1=a*(b+c); w2=a+b+c; w3=a*b-c;
+            wrongs=[[a*(b+c), 'order_of_operations'], [a+b+c, 'swapped_operation'], [a*b-c, 'swapped_operation']];
         } else if (type === 'paren_add_mul') {
             const a=r(1,hi), b=r(1,hi), c=r(2,hi);
             expr=`(${a} + ${b}) × ${c}`;  correct=(a+b)*c;
-            w1=a+b*c; w2=a*c+b; w3=(a+b)+c;
+            wrongs=[[a+b*c, 'ignored_parentheses'], [a*c+b, 'distribution_error'], [(a+b)+c, 'swapped_operation']];
         } else if (type === 'paren_sub_mul') {
             const b=r(1,hi-1), a=r(b+1,hi), c=r(2,hi);
             expr=`(${a} - ${b}) × ${c}`;  correct=(a-b)*c;
-            w1=a-b*c; w2=a*c-b; w3=(a+b)*c;
+            wrongs=[[a-b*c, 'ignored_parentheses'], [a*c-b, 'distribution_error'], [(a+b)*c, 'swapped_operation']];
         } else if (type === 'paren_mul_add') {
             const a=r(2,hi), b=r(2,hi), c=r(1,hi);
             expr=`${a} × (${b} + ${c})`;  correct=a*(b+c);
-            w1=a*b+c; w2=a*b*c; w3=(a+b)*c;
+            wrongs=[[a*b+c, 'distribution_error'], [a*b*c, 'swapped_operation'], [(a+b)*c, 'order_of_operations']];
         } else { // three_terms
             const a=r(2,hi), b=r(2,hi), c=r(2,hi), d=r(2,hi);
             expr=`${a} + ${b} - ${c} × ${d}`;  correct=a+b-c*d;
-            w1=(a+b-c)*d; w2=a+b-c+d; w3=a*b-c*d;
+            wrongs=[[(a+b-c)*d, 'order_of_operations'], [a+b-c+d, 'swapped_operation'], [a*b-c*d, 'swapped_operation']];
         }
 
-        const used = new Set([correct]);
-        const wrongs = [w1, w2, w3]
-            .filter(w => !used.has(w) && w >= 0 && used.add(w))
-            .map(w => w.toString());
+        return this.buildArithmeticQuestion({
+            question: `¿Cuánto es: ${expr}?`,
+            correct,
+            distractors: this.distractorEngine.select(correct, wrongs.map(([value, misconception]) => ({ value, misconception }))),
+            explanation: `PEMDAS: ${expr} = ${correct}`,
+            difficulty
+        });
+    }
 
-        let fill = 1;
-        while (wrongs.length < 3) {
-            const cand = correct + fill;
-            if (!used.has(cand)) { wrongs.push(cand.toString()); used.add(cand); }
-            fill = fill > 0 ? -fill : -fill + 1;
+    /**
+     * Generar pregunta de lógica
+     * @private
+     */
+    generateLogicQuestion(difficulty) {
+        const typesByDifficulty = {
+            easy:   ['arithmeticSequence', 'geometricSequence', 'linearEquation', 'wordProblem'],
+            medium: ['arithmeticSequence', 'geometricSequence', 'alternatingSequence', 'fibonacciSequence', 'linearEquation', 'wordProblem'],
+            hard:   ['geometricSequence', 'alternatingSequence', 'secondDifferenceSequence', 'fibonacciSequence', 'linearEquation', 'wordProblem']
+        };
+        const types = typesByDifficulty[difficulty] || typesByDifficulty.medium;
+        
+        switch (types[Math.floor(this.random() * types.length)]) {
+            case 'arithmeticSequence':
+                return this.generateArithmeticSequence(difficulty);
+            case 'geometricSequence':
+                return this.generateGeometricSequence(difficulty);
+            case 'alternatingSequence':
+                return this.generateAlternatingSequence(difficulty);
+            case 'secondDifferenceSequence':
+                return this.generateSecondDifferenceSequence(difficulty);
+            case 'fibonacciSequence':
+                return this.generateFibonacciSequence(difficulty);
+            case 'linearEquation':
+                return this.generateLinearEquation(difficulty);
+            case 'wordProblem':
+                return this.generateWordProblem(difficulty);
         }
+    }
 
-        const options = this.shuffleArray([correct.toString(), ...wrongs.slice(0, 3)]);
+    /**
+     * Generar secuencia aritmética (+d)
+     * Distractores: saltarse un término, diferencia equivocada en 1, ir en sentido contrario
+     * @private
+     */
+    generateArithmeticSequence(difficulty) {
+        const configs = {
+            easy:   { start: [1, 10], step: [2, 5], descending: false },
+            medium: { start: [5, 30], step: [3, 12], descending: false },
+            hard:   { start: [50, 150], step: [6, 25], descending: true }
+        };
+        const cfg = configs[difficulty] || configs.medium;
+        const step = this.randomInt(...cfg.step) * (cfg.descending && this.random() < 0.5 ? -1 : 1);
+        const start = this.randomInt(...cfg.start) + (step < 0 ? -step * 5 : 0);
+        const terms = Array.from({ length: 5 }, (_, i) => start + step * i);
+        const last = terms[terms.length - 1];
+        const next = last + step;
+        
+        return this.buildGeneratedQuestion({
+            question: `En una secuencia: ${terms.join(', ')}, ¿cuál sigue?`,
+            correct: next,
+            wrongs: [last + 2 * step, next + Math.sign(step), last - step],
+            explanation: `Cada término ${step > 0 ? 'suma' : 'resta'} ${Math.abs(step)}: ${last} ${step > 0 ? '+' : '-'} ${Math.abs(step)} = ${next}.`,
+            category: 'logic',
+            difficulty
+        });
+    }
 
-        return {
-            question: `¿Cuánto es: ${expr}?`,
-            options,
-            correctAnswer: correct.toString(),
-            explanation: `PEMDAS: ${expr} = ${correct}`,
-            category: 'arithmetic',
-            difficulty,
-            type: 'multiple_choice'
+    /**
+     * Generar secuencia geométrica (×r)
+     * Distractores: tratarla como aritmética, multiplicar dos veces, multiplicar por r + 1
+     * @private
+     */
+    generateGeometricSequence(difficulty) {
+        const configs = {
+            easy:   { start: [1, 5], ratios: [2], length: 4 },
+            medium: { start: [1, 6], ratios: [2, 3], length: 4 },
+            hard:   { start: [2, 9], ratios: [2, 3, 4, 5], length: 4 }
         };
+        const cfg = configs[difficulty] || configs.medium;
+        const ratio = cfg.ratios[Math.floor(this.random() * cfg.ratios.length)];
+        const start = this.randomInt(...cfg.start);
+        const terms = Array.from({ length: cfg.length }, (_, i) => start * ratio ** i);
+        const [prev, last] = terms.slice(-2);
+        const next = last * ratio;
+        
+        return this.buildGeneratedQuestion({
+            question: `En una secuencia: ${terms.join(', ')}, ¿cuál sigue?`,
+            correct: next,
+            wrongs: [last + (last - prev), next * ratio, last * (ratio + 1)],
+            explanation: `Cada término se multiplica por ${ratio}: ${last} × ${ratio} = ${next}.`,
+            category: 'logic',
+            difficulty
+        });
     }
 
     /**
-     * Generar pregunta de lógica
+     * Generar secuencia alterna (dos operaciones que se turnan, ej. +3, -1)
+     * Distractores: repetir la última operación, aplicar las dos a la vez, confundir la operación
      * @private
      */
-    generateLogicQuestion(difficulty) {
-        // Por simplicidad, retornar una pregunta predefinida aleatoria
-        return this.getPredefinedQuestion('logic', difficulty);
+    generateAlternatingSequence(difficulty) {
+        const configs = {
+            medium: { start: [1, 10], add: [2, 6], other: [1, 3], multiply: false },
+            hard:   { start: [1, 6], add: [2, 5], other: [2, 3], multiply: true }
+        };
+        const cfg = configs[difficulty] || configs.medium;
+        const add = this.randomInt(...cfg.add);
+        const other = this.randomInt(...cfg.other);
+        const useMultiply = cfg.multiply && this.random() < 0.5;
+        
+        // Segunda operación: restar (siempre menor que la suma) o multiplicar
+        const subtract = Math.min(other, add - 1);
+        const first = { apply: n => n + add, sign: '+', value: add };
+        const second = useMultiply
+            ? { apply: n => n * other, sign: '×', value: other }
+            : { apply: n => n - subtract, sign: '-', value: subtract };
+        
+        const terms = [this.randomInt(...cfg.start)];
+        while (terms.length < 5) {
+            const operation = terms.length % 2 === 1 ? first : second;
+            terms.push(operation.apply(terms[terms.length - 1]));
+        }
+        
+        // El siguiente (sexto) término aplica la primera operación
+        const last = terms[terms.length - 1];
+        const next = first.apply(last);
+        
+        return this.buildGeneratedQuestion({
+            question: `En una secuencia: ${terms.join(', ')}, ¿cuál sigue?`,
+            correct: next,
+            wrongs: [second.apply(last), second.apply(first.apply(last)), last + add + 1],
+            explanation: `Las operaciones se alternan (${first.sign}${first.value}, ${second.sign}${second.value}): ${last} ${first.sign} ${first.value} = ${next}.`,
+            category: 'logic',
+            difficulty
+        });
+    }
+
+    /**
+     * Generar secuencia de segundas diferencias (las diferencias crecen de forma constante)
+     * Distractores: repetir la última diferencia, sumar el incremento dos veces, restarlo
+     * @private
+     */
+    generateSecondDifferenceSequence(difficulty) {
+        const start = this.randomInt(1, 10);
+        const firstDiff = this.randomInt(1, 5);
+        const increment = this.randomInt(1, difficulty === 'hard' ? 4 : 2);
+        
+        const terms = [start];
+        let diff = firstDiff;
+        while (terms.length < 5) {
+            terms.push(terms[terms.length - 1] + diff);
+            diff += increment;
+        }
+        
+        const last = terms[terms.length - 1];
+        const lastDiff = diff - increment;
+        const next = last + diff;
+        
+        return this.buildGeneratedQuestion({
+            question: `En una secuencia: ${terms.join(', ')}, ¿cuál sigue?`,
+            correct: next,
+            wrongs: [last + lastDiff, next + increment, last + lastDiff - increment],
+            explanation: `Las diferencias aumentan de ${increment} en ${increment} (${firstDiff}, ${firstDiff + increment}, ...): ${last} + ${diff} = ${next}.`,
+            category: 'logic',
+            difficulty
+        });
+    }
+
+    /**
+     * Generar recurrencia tipo Fibonacci (cada término es la suma de los dos anteriores)
+     * Distractores: tratarla como aritmética, duplicar el último, equivocarse en 1
+     * @private
+     */
+    generateFibonacciSequence(difficulty) {
+        const maxStart = difficulty === 'hard' ? 9 : 4;
+        const terms = [this.randomInt(1, maxStart), this.randomInt(1, maxStart)];
+        while (terms.length < 6) {
+            terms.push(terms[terms.length - 1] + terms[terms.length - 2]);
+        }
+        
+        const [prev, last] = terms.slice(-2);
+        const next = prev + last;
+        
+        return this.buildGeneratedQuestion({
+            question: `En una secuencia: ${terms.join(', ')}, ¿cuál sigue?`,
+            correct: next,
+            wrongs: [last + (last - prev), last * 2, next + 1],
+            explanation: `Cada término es la suma de los dos anteriores: ${prev} + ${last} = ${next}.`,
+            category: 'logic',
+            difficulty
+        });
+    }
+
+    /**
+     * Generar ecuación lineal de uno o dos pasos ("si x + 5 = 12")
+     * Distractores: aplicar la operación en vez de la inversa, olvidar un paso, equivocarse en 1
+     * @private
+     */
+    generateLinearEquation(difficulty) {
+        const maxValue = { easy: 10, medium: 20, hard: 30 }[difficulty] || 20;
+        const x = this.randomInt(1, maxValue);
+        
+        // Fácil y medio: un paso (x + b, x - b o a·x); difícil y a veces medio: dos pasos (a·x + b)
+        const twoStep = difficulty === 'hard' || (difficulty === 'medium' && this.random() < 0.4);
+        
+        if (twoStep) {
+            const a = this.randomInt(2, difficulty === 'hard' ? 9 : 5);
+            const b = this.randomInt(1, maxValue);
+            const c = a * x + b;
+            return this.buildGeneratedQuestion({
+                question: `Si ${a}x + ${b} = ${c}, ¿cuánto vale x?`,
+                correct: x,
+                wrongs: [c - b, (c + b) / a, x + 1],
+                explanation: `Restamos ${b} en ambos lados: ${a}x = ${c - b}; dividimos entre ${a}: x = ${x}.`,
+                category: 'logic',
+                difficulty
+            });
+        }
+        
+        const b = this.randomInt(2, maxValue);
+        const forms = [
+            { text: `x + ${b} = ${x + b}`, wrong: x + 2 * b, steps: `x = ${x + b} - ${b} = ${x}` },
+            { text: `x - ${b} = ${x - b}`, wrong: x - 2 * b, steps: `x = ${x - b} + ${b} = ${x}` },
+            { text: `${b}x = ${b * x}`, wrong: b * x - b, steps: `x = ${b * x} ÷ ${b} = ${x}` }
+        ].filter(form => !form.text.includes('= -'));
+        const form = forms[Math.floor(this.random() * forms.length)];
+        
+        return this.buildGeneratedQuestion({
+            question: `Si ${form.text}, ¿cuánto vale x?`,
+            correct: x,
+            wrongs: [form.wrong, x + 1, x - 1],
+            explanation: `Despejamos x con la operación inversa: ${form.steps}.`,
+            category: 'logic',
+            difficulty
+        });
+    }
+
+    /**
+     * Generar problema de enunciado con plantillas de nombres y cantidades
+     * Distractores: operación contraria, olvidar un paso, equivocarse en 1
+     * @private
+     */
+    generateWordProblem(difficulty) {
+        const names = ['Ana', 'Luis', 'Sofía', 'Mateo', 'Lucía', 'Diego', 'Valeria', 'Hugo', 'Carmen', 'Pablo'];
+        const items = ['caramelos', 'canicas', 'cromos', 'lápices', 'galletas', 'pegatinas', 'libros', 'manzanas'];
+        const pick = list => list[Math.floor(this.random() * list.length)];
+        const name = pick(names);
+        const other = pick(names.filter(n => n !== name));
+        const item = pick(items);
+        const r = (min, max) => this.randomInt(min, max);
+        
+        const templatesByDifficulty = {
+            easy: ['more', 'gives', 'moreThan'],
+            medium: ['share', 'packs', 'moreThan'],
+            hard: ['packsAndGives', 'share', 'twoStepShare']
+        };
+        const template = pick(templatesByDifficulty[difficulty] || templatesByDifficulty.medium);
+        
+        let question, correct, wrongs, explanation;
+        
+        if (template === 'more') {
+            const a = r(3, 20), b = r(2, 15);
+            question = `${name} tiene ${a} ${item} y consigue ${b} más. ¿Cuántos ${item} tiene ahora?`;
+            correct = a + b; wrongs = [a - b, b, correct + 1];
+            explanation = `${a} + ${b} = ${correct} ${item}.`;
+        } else if (template === 'gives') {
+            const b = r(2, 10), a = r(b + 2, 25);
+            question = `${name} tiene ${a} ${item} y le da ${b} a ${other}. ¿Cuántos ${item} le quedan?`;
+            correct = a - b; wrongs = [a + b, b, correct - 1];
+            explanation = `${a} - ${b} = ${correct} ${item}.`;
+        } else if (template === 'moreThan') {
+            const b = r(3, 20), d = r(2, 12);
+            question = `${name} tiene ${d} ${item} más que ${other}, y ${other} tiene ${b}. ¿Cuántos tiene ${name}?`;
+            correct = b + d; wrongs = [b - d, d, correct + 1];
+            explanation = `${name} = ${other} + ${d} = ${b} + ${d} = ${correct} ${item}.`;
+        } else if (template === 'share') {
+            const friends = r(2, 8), each = r(2, 12), total = friends * each;
+            question = `${name} reparte ${total} ${item} entre ${friends} amigos a partes iguales. ¿Cuántos recibe cada uno?`;
+            correct = each; wrongs = [total - friends, total * friends, each + 1];
+            explanation = `${total} ÷ ${friends} = ${each} ${item} cada uno.`;
+        } else if (template === 'packs') {
+            const packs = r(2, 9), perPack = r(3, 12);
+            question = `${name} compra ${packs} paquetes de ${perPack} ${item}. ¿Cuántos ${item} tiene en total?`;
+            correct = packs * perPack; wrongs = [packs + perPack, correct - perPack, correct + packs];
+            explanation = `${packs} × ${perPack} = ${correct} ${item}.`;
+        } else if (template === 'packsAndGives') {
+            const start = r(2, 15), packs = r(2, 6), perPack = r(4, 12), given = r(2, start + packs * perPack - 1);
+            question = `${name} tiene ${start} ${item}, compra ${packs} paquetes de ${perPack} y le da ${given} a ${other}. ¿Cuántos ${item} le quedan?`;
+            correct = start + packs * perPack - given; wrongs = [(start + packs) * perPack - given, start + packs * perPack + given, start + perPack - given];
+            explanation = `${start} + ${packs} × ${perPack} - ${given} = ${start} + ${packs * perPack} - ${given} = ${correct} ${item}.`;
+        } else { // twoStepShare
+            const friends = r(2, 6), each = r(3, 10), kept = r(1, 9), total = friends * each + kept;
+            question = `${name} tiene ${total} ${item}, se queda ${kept} y reparte el resto entre ${friends} amigos a partes iguales. ¿Cuántos recibe cada uno?`;
+            correct = each; wrongs = [Math.floor(total / friends), total - kept, each + kept];
+            explanation = `(${total} - ${kept}) ÷ ${friends} = ${total - kept} ÷ ${friends} = ${each} ${item}.`;
+        }
+        
+        return this.buildGeneratedQuestion({
+            question,
+            correct,
+            wrongs,
+            explanation,
+            category: 'logic',
+            difficulty
+        });
     }
 
     /**
@@ -653,8 +1425,679 @@ class QuestionBank {
      * @private
      */
     generateGeometryQuestion(difficulty) {
-        // Por simplicidad, retornar una pregunta predefinida aleatoria
-        return this.getPredefinedQuestion('geometry', difficulty);
+        const shapesByDifficulty = {
+            easy:   ['rectanglePerimeter', 'rectangleArea', 'triangleArea', 'polygonAngles'],
+            medium: ['rectanglePerimeter', 'rectangleArea', 'triangleArea', 'circlePerimeter', 'pythagoras', 'polygonAngles', 'prismVolume'],
+            hard:   ['triangleArea', 'circlePerimeter', 'circleArea', 'pythagoras', 'polygonAngles', 'prismVolume']
+        };
+        const shapes = shapesByDifficulty[difficulty] || shapesByDifficulty.medium;
+        
+        switch (shapes[Math.floor(this.random() * shapes.length)]) {
+            case 'rectanglePerimeter':
+                return this.generateRectanglePerimeter(difficulty);
+            case 'rectangleArea':
+                return this.generateRectangleArea(difficulty);
+            case 'triangleArea':
+                return this.generateTriangleArea(difficulty);
+            case 'circlePerimeter':
+                return this.generateCirclePerimeter(difficulty);
+            case 'circleArea':
+                return this.generateCircleArea(difficulty);
+            case 'pythagoras':
+                return this.generatePythagoras(difficulty);
+            case 'polygonAngles':
+                return this.generatePolygonAngles(difficulty);
+            case 'prismVolume':
+                return this.generatePrismVolume(difficulty);
+        }
+    }
+
+    /**
+     * Generar perímetro de un rectángulo
+     * Distractores: área, olvidar duplicar, sumar un solo largo
+     * @private
+     */
+    generateRectanglePerimeter(difficulty) {
+        const ranges = { easy: [2, 10], medium: [5, 25], hard: [10, 60] };
+        const [min, max] = ranges[difficulty] || ranges.medium;
+        const length = this.randomInt(min + 1, max);
+        const width = this.randomInt(min, length - 1);
+        const perimeter = 2 * (length + width);
+        
+        return this.buildGeneratedQuestion({
+            question: `¿Cuál es el perímetro de un rectángulo de ${length} cm × ${width} cm?`,
+            correct: perimeter,
+            wrongs: [length * width, length + width, 2 * length + width],
+            unit: 'cm',
+            explanation: `Perímetro = 2 × (largo + ancho) = 2 × (${length} + ${width}) = ${perimeter} cm.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar área de un rectángulo
+     * Distractores: perímetro, sumar lados, duplicar el área
+     * @private
+     */
+    generateRectangleArea(difficulty) {
+        const ranges = { easy: [2, 10], medium: [5, 25], hard: [12, 60] };
+        const [min, max] = ranges[difficulty] || ranges.medium;
+        const length = this.randomInt(min, max);
+        const width = this.randomInt(min, max);
+        const area = length * width;
+        
+        return this.buildGeneratedQuestion({
+            question: `¿Cuál es el área de un rectángulo de ${length} cm × ${width} cm?`,
+            correct: area,
+            wrongs: [2 * (length + width), length + width, 2 * area],
+            unit: 'cm²',
+            explanation: `Área = largo × ancho = ${length} × ${width} = ${area} cm².`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar área de un triángulo
+     * Distractores: olvidar dividir entre 2, sumar base y altura, dividir entre 4
+     * @private
+     */
+    generateTriangleArea(difficulty) {
+        const ranges = { easy: [2, 10], medium: [4, 20], hard: [9, 40] };
+        const [min, max] = ranges[difficulty] || ranges.medium;
+        let base = this.randomInt(min, max);
+        const height = this.randomInt(min, max);
+        
+        // En fácil, área entera: base par
+        if (difficulty === 'easy' && base % 2 !== 0) base++;
+        
+        const area = (base * height) / 2;
+        
+        return this.buildGeneratedQuestion({
+            question: `¿Cuál es el área de un triángulo de base ${base} cm y altura ${height} cm?`,
+            correct: area,
+            wrongs: [base * height, base + height, (base * height) / 4],
+            unit: 'cm²',
+            explanation: `Área = (base × altura) ÷ 2 = (${base} × ${height}) ÷ 2 = ${this.formatNumber(area)} cm².`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar longitud de una circunferencia (π ≈ 3.14)
+     * Distractores: olvidar el 2, calcular el área, usar el diámetro como radio
+     * @private
+     */
+    generateCirclePerimeter(difficulty) {
+        const ranges = { easy: [1, 5], medium: [2, 10], hard: [5, 25] };
+        const [min, max] = ranges[difficulty] || ranges.medium;
+        const radius = this.randomInt(min, max);
+        const pi = 3.14;
+        const circumference = 2 * pi * radius;
+        
+        return this.buildGeneratedQuestion({
+            question: `¿Cuál es la longitud de una circunferencia de radio ${radius} cm? (π ≈ 3.14)`,
+            correct: circumference,
+            wrongs: [pi * radius, pi * radius * radius, 4 * pi * radius],
+            unit: 'cm',
+            explanation: `Longitud = 2 × π × r = 2 × 3.14 × ${radius} = ${this.formatNumber(circumference)} cm.`,
+            difficulty,
+            tolerance: { relative: 0.01 } // Acepta otros redondeos de π en respuesta libre
+        });
+    }
+
+    /**
+     * Generar área de un círculo (π ≈ 3.14)
+     * Distractores: calcular la longitud, olvidar elevar al cuadrado, usar el diámetro como radio
+     * @private
+     */
+    generateCircleArea(difficulty) {
+        const ranges = { easy: [1, 5], medium: [2, 10], hard: [4, 20] };
+        const [min, max] = ranges[difficulty] || ranges.medium;
+        const radius = this.randomInt(min, max);
+        const pi = 3.14;
+        const area = pi * radius * radius;
+        
+        return this.buildGeneratedQuestion({
+            question: `¿Cuál es el área de un círculo de radio ${radius} cm? (π ≈ 3.14)`,
+            correct: area,
+            wrongs: [2 * pi * radius, pi * radius, pi * (2 * radius) * (2 * radius)],
+            unit: 'cm²',
+            explanation: `Área = π × r² = 3.14 × ${radius}² = 3.14 × ${radius * radius} = ${this.formatNumber(area)} cm².`,
+            difficulty,
+            tolerance: { relative: 0.01 }
+        });
+    }
+
+    /**
+     * Generar teorema de Pitágoras con ternas pitagóricas (resultado entero)
+     * En difícil también se pide un cateto
+     * Distractores: sumar catetos, olvidar la raíz, restar en vez de sumar
+     * @private
+     */
+    generatePythagoras(difficulty) {
+        const triples = [[3, 4, 5], [5, 12, 13], [8, 15, 17], [7, 24, 25], [20, 21, 29]];
+        const configs = {
+            easy:   { triples: 1, maxScale: 2, findLeg: false },
+            medium: { triples: 3, maxScale: 3, findLeg: false },
+            hard:   { triples: 5, maxScale: 4, findLeg: true }
+        };
+        const cfg = configs[difficulty] || configs.medium;
+        const scale = this.randomInt(1, cfg.maxScale);
+        const [a, b, c] = triples[this.randomInt(0, cfg.triples - 1)].map(side => side * scale);
+        
+        if (cfg.findLeg && this.random() < 0.5) {
+            return this.buildGeneratedQuestion({
+                question: `Un triángulo rectángulo tiene hipotenusa ${c} cm y un cateto de ${a} cm. ¿Cuánto mide el otro cateto?`,
+                correct: b,
+                wrongs: [c - a, c * c - a * a, Math.round(Math.sqrt(c * c + a * a))],
+                unit: 'cm',
+                explanation: `Por Pitágoras: √(${c}² - ${a}²) = √(${c * c} - ${a * a}) = √${b * b} = ${b} cm.`,
+                difficulty
+            });
+        }
+        
+        return this.buildGeneratedQuestion({
+            question: `¿Cuánto mide la hipotenusa de un triángulo rectángulo con catetos de ${a} cm y ${b} cm?`,
+            correct: c,
+            wrongs: [a + b, a * a + b * b, b - a],
+            unit: 'cm',
+            explanation: `Por Pitágoras: √(${a}² + ${b}²) = √(${a * a} + ${b * b}) = √${c * c} = ${c} cm.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar suma de ángulos interiores (o ángulo de un polígono regular en difícil)
+     * Distractores: n × 180°, (n - 1) × 180°, confundir con los exteriores (360° o 360° ÷ n)
+     * @private
+     */
+    generatePolygonAngles(difficulty) {
+        const polygons = {
+            3: 'triángulo', 4: 'cuadrilátero', 5: 'pentágono', 6: 'hexágono',
+            8: 'octógono', 9: 'eneágono', 10: 'decágono', 12: 'dodecágono'
+        };
+        const sidesByDifficulty = { easy: [3, 4, 5], medium: [4, 5, 6, 8], hard: [5, 6, 8, 9, 10, 12] };
+        const options = sidesByDifficulty[difficulty] || sidesByDifficulty.medium;
+        const sides = options[Math.floor(this.random() * options.length)];
+        const total = (sides - 2) * 180;
+        
+        if (difficulty === 'hard' && this.random() < 0.5) {
+            const angle = total / sides;
+            return this.buildGeneratedQuestion({
+                question: `¿Cuánto mide cada ángulo interior de un ${polygons[sides]} regular?`,
+                correct: angle,
+                wrongs: [total, 360 / sides, ((sides - 1) * 180) / sides],
+                unit: '°',
+                explanation: `Suma de ángulos = (${sides} - 2) × 180° = ${total}°; cada ángulo = ${total}° ÷ ${sides} = ${this.formatNumber(angle)}°.`,
+                difficulty
+            });
+        }
+        
+        return this.buildGeneratedQuestion({
+            question: `¿Cuánto suman los ángulos interiores de un ${polygons[sides]}?`,
+            correct: total,
+            wrongs: [sides * 180, (sides - 1) * 180, 360],
+            unit: '°',
+            explanation: `Suma de ángulos interiores = (n - 2) × 180° = (${sides} - 2) × 180° = ${total}°.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar volumen de un prisma (rectangular; triangular en difícil)
+     * Distractores: área de la base, área total, olvidar dividir entre 2
+     * @private
+     */
+    generatePrismVolume(difficulty) {
+        const ranges = { easy: [2, 6], medium: [3, 12], hard: [4, 20] };
+        const [min, max] = ranges[difficulty] || ranges.medium;
+        const length = this.randomInt(min, max);
+        const width = this.randomInt(min, max);
+        const height = this.randomInt(min, max);
+        
+        if (difficulty === 'hard' && this.random() < 0.5) {
+            const baseArea = (length * width) / 2;
+            const volume = baseArea * height;
+            return this.buildGeneratedQuestion({
+                question: `Un prisma triangular tiene como base un triángulo de base ${length} cm y altura ${width} cm, y mide ${height} cm de largo. ¿Cuál es su volumen?`,
+                correct: volume,
+                wrongs: [length * width * height, baseArea, baseArea + height],
+                unit: 'cm³',
+                explanation: `Volumen = área de la base × largo = ((${length} × ${width}) ÷ 2) × ${height} = ${this.formatNumber(baseArea)} × ${height} = ${this.formatNumber(volume)} cm³.`,
+                difficulty
+            });
+        }
+        
+        const volume = length * width * height;
+        return this.buildGeneratedQuestion({
+            question: `¿Cuál es el volumen de una caja (prisma rectangular) de ${length} cm × ${width} cm × ${height} cm?`,
+            correct: volume,
+            wrongs: [length * width, 2 * (length * width + length * height + width * height), length + width + height],
+            unit: 'cm³',
+            explanation: `Volumen = largo × ancho × alto = ${length} × ${width} × ${height} = ${volume} cm³.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar pregunta de fracciones, decimales y porcentajes
+     * @private
+     */
+    generateFractionsQuestion(difficulty) {
+        const typesByDifficulty = {
+            easy:   ['addFractions', 'simplifyFraction', 'fractionToDecimal', 'decimalToPercent', 'percentOf'],
+            medium: ['addFractions', 'simplifyFraction', 'fractionToDecimal', 'decimalToPercent', 'percentToFraction', 'percentOf'],
+            hard:   ['addFractions', 'simplifyFraction', 'fractionToDecimal', 'percentToFraction', 'percentOf']
+        };
+        const types = typesByDifficulty[difficulty] || typesByDifficulty.medium;
+        
+        switch (types[Math.floor(this.random() * types.length)]) {
+            case 'addFractions':
+                return this.generateFractionAddition(difficulty);
+            case 'simplifyFraction':
+                return this.generateFractionSimplification(difficulty);
+            case 'fractionToDecimal':
+                return this.generateFractionToDecimal(difficulty);
+            case 'decimalToPercent':
+                return this.generateDecimalToPercent(difficulty);
+            case 'percentToFraction':
+                return this.generatePercentToFraction(difficulty);
+            case 'percentOf':
+                return this.generatePercentOf(difficulty);
+        }
+    }
+
+    /**
+     * Generar suma (o resta en difícil) de fracciones
+     * Distractores: sumar numeradores y denominadores, no buscar denominador común, equivocarse en 1
+     * @private
+     */
+    generateFractionAddition(difficulty) {
+        const denominators = {
+            easy:   [3, 4, 5, 6, 7, 8, 9, 10],
+            medium: [2, 3, 4, 5, 6, 8, 10, 12],
+            hard:   [3, 4, 5, 6, 7, 8, 9, 10, 12, 15]
+        }[difficulty] || [2, 3, 4, 5, 6, 8, 10, 12];
+        const pick = () => denominators[Math.floor(this.random() * denominators.length)];
+        
+        // Fácil: mismo denominador; resto: denominadores distintos
+        const d1 = pick();
+        let d2 = difficulty === 'easy' ? d1 : pick();
+        while (difficulty !== 'easy' && d2 === d1) d2 = pick();
+        
+        const a = this.randomInt(1, d1 - 1);
+        const b = this.randomInt(1, d2 - 1);
+        
+        // Difícil: a veces resta (la mayor primero para que el resultado sea positivo)
+        const subtract = difficulty === 'hard' && this.random() < 0.5 && a * d2 !== b * d1;
+        const [n1, den1, n2, den2] = subtract && a * d2 < b * d1 ? [b, d2, a, d1] : [a, d1, b, d2];
+        const sign = subtract ? -1 : 1;
+        const symbol = subtract ? '-' : '+';
+        
+        const common = this.lcm(den1, den2);
+        const numerator = n1 * (common / den1) + sign * n2 * (common / den2);
+        const result = this.formatFraction(numerator, common);
+        
+        const steps = den1 === den2
+            ? `${n1}/${den1} ${symbol} ${n2}/${den2} = ${numerator}/${common}`
+            : `${n1}/${den1} ${symbol} ${n2}/${den2} = ${n1 * (common / den1)}/${common} ${symbol} ${n2 * (common / den2)}/${common} = ${numerator}/${common}`;
+        
+        return this.buildValueQuestion({
+            question: `¿Cuánto es ${n1}/${den1} ${symbol} ${n2}/${den2}? (simplifica el resultado)`,
+            lowestTerms: true,
+            correct: result,
+            wrongs: [
+                `${n1 + sign * n2}/${den1 + den2}`,
+                `${n1 + sign * n2}/${den1 * den2}`,
+                `${numerator + 1}/${common}`,
+                `${n1 * n2}/${den1 * den2}`
+            ],
+            fill: k => this.formatFraction(numerator + k * 2, common),
+            explanation: `${steps}${result !== `${numerator}/${common}` ? ` = ${result}` : ''}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar simplificación de fracciones
+     * Distractores: simplificar solo el numerador, invertir la fracción, sumar 1 arriba y abajo
+     * @private
+     */
+    generateFractionSimplification(difficulty) {
+        const maxDenominator = { easy: 6, medium: 12, hard: 20 }[difficulty] || 12;
+        const maxFactor = { easy: 4, medium: 8, hard: 12 }[difficulty] || 8;
+        
+        // Fracción irreducible n/d y factor común k
+        let n, d;
+        do {
+            d = this.randomInt(2, maxDenominator);
+            n = this.randomInt(1, d - 1);
+        } while (this.gcd(n, d) !== 1);
+        const k = this.randomInt(2, maxFactor);
+        
+        return this.buildValueQuestion({
+            question: `Simplifica la fracción ${n * k}/${d * k}`,
+            lowestTerms: true,
+            correct: `${n}/${d}`,
+            wrongs: [`${n}/${d * k}`, `${d}/${n}`, `${n + 1}/${d + 1}`, `${n * k}/${d}`],
+            fill: step => `${n + step}/${d + step}`,
+            explanation: `El máximo común divisor de ${n * k} y ${d * k} es ${k}: ${n * k} ÷ ${k} = ${n} y ${d * k} ÷ ${k} = ${d}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar conversión de fracción a decimal
+     * Distractores: juntar numerador y denominador con coma, dividir al revés, escalar por 10
+     * @private
+     */
+    generateFractionToDecimal(difficulty) {
+        const denominators = {
+            easy:   [2, 4, 5, 10],
+            medium: [2, 4, 5, 8, 10, 20, 25],
+            hard:   [4, 8, 16, 20, 25, 40]
+        }[difficulty] || [2, 4, 5, 8, 10, 20, 25];
+        const d = denominators[Math.floor(this.random() * denominators.length)];
+        
+        // Difícil: también fracciones impropias
+        const n = this.randomInt(1, difficulty === 'hard' ? 2 * d - 1 : d - 1);
+        const value = n / d;
+        const decimal = this.formatDecimal(value);
+        
+        return this.buildValueQuestion({
+            question: `¿Cuánto es ${n}/${d} en número decimal?`,
+            correct: decimal,
+            wrongs: [`${n}.${d}`, this.formatDecimal(d / n), this.formatDecimal(value * 10), `0.${n}`],
+            fill: k => this.formatDecimal(value + k / 10),
+            explanation: `${n}/${d} = ${n} ÷ ${d} = ${decimal}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar conversión de decimal a porcentaje
+     * Distractores: mover la coma un lugar, no moverla, moverla tres lugares
+     * @private
+     */
+    generateDecimalToPercent(difficulty) {
+        const hundredths = difficulty === 'easy'
+            ? this.randomInt(1, 19) * 5
+            : this.randomInt(1, 160);
+        const value = hundredths / 100;
+        const decimal = this.formatDecimal(value);
+        const percent = `${hundredths}%`;
+        
+        return this.buildValueQuestion({
+            question: `Escribe ${decimal} como porcentaje`,
+            correct: percent,
+            wrongs: [`${this.formatDecimal(value * 10)}%`, `${decimal}%`, `${this.formatDecimal(value * 1000)}%`],
+            fill: k => `${hundredths + k * 5}%`,
+            explanation: `Para pasar a porcentaje se multiplica por 100: ${decimal} × 100 = ${percent}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar conversión de porcentaje a fracción irreducible
+     * Distractores: dividir entre 10, poner el porcentaje como denominador, el complementario
+     * @private
+     */
+    generatePercentToFraction(difficulty) {
+        const percents = difficulty === 'hard'
+            ? [4, 8, 12, 15, 35, 45, 55, 65, 85, 95, 120, 150]
+            : [10, 20, 25, 30, 40, 50, 60, 75, 80, 90];
+        const percent = percents[Math.floor(this.random() * percents.length)];
+        const result = this.formatFraction(percent, 100);
+        
+        return this.buildValueQuestion({
+            question: `¿Qué fracción irreducible equivale al ${percent}%?`,
+            correct: result,
+            wrongs: [`${percent}/10`, `1/${percent}`, this.formatFraction(Math.abs(100 - percent), 100)],
+            fill: k => this.formatFraction(percent + k * 5, 100),
+            explanation: `${percent}% = ${percent}/100 = ${result}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar porcentaje de una cantidad ("el 20% de 150")
+     * Distractores: restar el porcentaje, olvidar dividir entre 100, poner mal la coma
+     * @private
+     */
+    generatePercentOf(difficulty) {
+        const percents = {
+            easy:   [10, 25, 50],
+            medium: [5, 10, 15, 20, 25, 30, 40, 50, 75],
+            hard:   [12, 15, 35, 45, 60, 65, 120, 150]
+        }[difficulty] || [5, 10, 15, 20, 25, 30, 40, 50, 75];
+        const percent = percents[Math.floor(this.random() * percents.length)];
+        
+        // Cantidad múltiplo de 100 / mcd para que el resultado sea entero
+        const unit = 100 / this.gcd(percent, 100);
+        const amount = unit * this.randomInt(1, Math.max(1, Math.floor((difficulty === 'hard' ? 800 : 300) / unit)));
+        const result = (percent * amount) / 100;
+        
+        return this.buildValueQuestion({
+            question: `¿Cuánto es el ${percent}% de ${amount}?`,
+            correct: String(result),
+            wrongs: [amount - percent, percent * amount, result * 10, amount - result]
+                .filter(Number.isInteger)
+                .map(String),
+            fill: k => String(result + k),
+            explanation: `${percent}% de ${amount} = ${amount} × ${percent} ÷ 100 = ${result}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar pregunta de álgebra
+     * @private
+     */
+    generateAlgebraQuestion(difficulty) {
+        const typesByDifficulty = {
+            easy:   ['solveEquation', 'evaluateExpression', 'likeTerms'],
+            medium: ['solveEquation', 'evaluateExpression', 'likeTerms'],
+            hard:   ['solveEquation', 'evaluateExpression', 'likeTerms', 'linearSystem']
+        };
+        const types = typesByDifficulty[difficulty] || typesByDifficulty.medium;
+        
+        switch (types[Math.floor(this.random() * types.length)]) {
+            case 'solveEquation':
+                return this.generateAlgebraEquation(difficulty);
+            case 'evaluateExpression':
+                return this.generateExpressionEvaluation(difficulty);
+            case 'likeTerms':
+                return this.generateLikeTerms(difficulty);
+            case 'linearSystem':
+                return this.generateLinearSystem(difficulty);
+        }
+    }
+
+    /**
+     * Rangos de coeficientes, valores de la incógnita y términos independientes por dificultad
+     * Fácil solo usa positivos; medio y difícil añaden negativos
+     * @private
+     */
+    getAlgebraRanges(difficulty) {
+        const ranges = {
+            easy:   { coefficient: [2, 5],  value: [1, 10],   constant: [1, 10] },
+            medium: { coefficient: [2, 9],  value: [-10, 10], constant: [-12, 12] },
+            hard:   { coefficient: [2, 12], value: [-12, 12], constant: [-20, 20] }
+        };
+        return ranges[difficulty] || ranges.medium;
+    }
+
+    /**
+     * Generar ecuación lineal: ax + b = c (fácil), a(x + b) = c (medio), ax + b = cx + d (difícil)
+     * Distractores: errores de signo al transponer términos y distribuir solo al primer término
+     * @private
+     */
+    generateAlgebraEquation(difficulty) {
+        const { coefficient, value, constant } = this.getAlgebraRanges(difficulty);
+        const x = this.randomNonZero(...value);
+        const a = this.randomInt(...coefficient);
+        const b = this.randomNonZero(...constant);
+        
+        if (difficulty === 'easy') {
+            const c = a * x + b;
+            return this.buildAlgebraQuestion({
+                question: `Resuelve: ${this.formatPolynomial([[a, 'x'], [b, '']])} = ${c}`,
+                correct: x,
+                wrongs: [(c + b) / a, c / a - b, c - b],
+                explanation: `Pasamos ${b} al otro lado cambiando de signo: ${a}x = ${c - b}; dividimos entre ${a}: x = ${x}.`,
+                difficulty
+            });
+        }
+        
+        if (difficulty === 'medium') {
+            const c = a * (x + b);
+            return this.buildAlgebraQuestion({
+                question: `Resuelve: ${a}(${this.formatPolynomial([[1, 'x'], [b, '']])}) = ${c}`,
+                correct: x,
+                wrongs: [(c - b) / a, c / a + b, -x],
+                explanation: `Distribuimos: ${this.formatPolynomial([[a, 'x'], [a * b, '']])} = ${c}; ${a}x = ${c - a * b}; x = ${x}.`,
+                difficulty
+            });
+        }
+        
+        // Incógnita en ambos lados
+        let c;
+        do {
+            c = this.randomInt(...coefficient);
+        } while (c === a);
+        const d = (a - c) * x + b;
+        
+        return this.buildAlgebraQuestion({
+            question: `Resuelve: ${this.formatPolynomial([[a, 'x'], [b, '']])} = ${this.formatPolynomial([[c, 'x'], [d, '']])}`,
+            correct: x,
+            wrongs: [(d - b) / (a + c), (d + b) / (a - c), -x],
+            explanation: `Agrupamos las x a la izquierda y los números a la derecha: ${a - c}x = ${d - b}; x = ${x}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar evaluación de una expresión para un valor de x
+     * Distractores: leer 3x como 30 + x, distribuir solo al primer término, (-x)² con signo negativo
+     * @private
+     */
+    generateExpressionEvaluation(difficulty) {
+        const { coefficient, value, constant } = this.getAlgebraRanges(difficulty);
+        const x = this.randomNonZero(...value);
+        const a = this.randomInt(...coefficient);
+        const b = this.randomNonZero(...constant);
+        
+        if (difficulty === 'easy') {
+            const correct = a * x + b;
+            return this.buildAlgebraQuestion({
+                question: `Si x = ${x}, ¿cuánto vale ${this.formatPolynomial([[a, 'x'], [b, '']])}?`,
+                correct,
+                wrongs: [Number(`${a}${x}`) + b, a + x + b, a * (x + b)],
+                explanation: `Sustituimos x por ${x}: ${a} × ${x} + ${b} = ${correct}.`,
+                difficulty
+            });
+        }
+        
+        if (difficulty === 'medium') {
+            const correct = a * (x + b);
+            return this.buildAlgebraQuestion({
+                question: `Si x = ${x}, ¿cuánto vale ${a}(${this.formatPolynomial([[1, 'x'], [b, '']])})?`,
+                correct,
+                wrongs: [a * x + b, a * (-x + b), a * x - a * b],
+                explanation: `Primero el paréntesis: ${x} ${b < 0 ? '-' : '+'} ${Math.abs(b)} = ${x + b}; después ${a} × ${this.formatSigned(x + b)} = ${correct}.`,
+                difficulty
+            });
+        }
+        
+        // Difícil: polinomio de segundo grado con x pequeño para que el cálculo sea mental
+        const small = this.randomNonZero(-6, 6);
+        const c = this.randomNonZero(-9, 9);
+        const correct = a * small * small + c * small + b;
+        const expression = this.formatPolynomial([[a, 'x²'], [c, 'x'], [b, '']]);
+        return this.buildAlgebraQuestion({
+            question: `Si x = ${small}, ¿cuánto vale ${expression}?`,
+            correct,
+            wrongs: [-a * small * small + c * small + b, (a * small) ** 2 + c * small + b, a * 2 * small + c * small + b],
+            explanation: `Sustituimos x por ${small} (x² = ${small * small}): ${a} × ${small * small} ${c < 0 ? '-' : '+'} ${Math.abs(c)} × ${this.formatSigned(small)} ${b < 0 ? '-' : '+'} ${Math.abs(b)} = ${correct}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar simplificación de términos semejantes
+     * Distractores: sumar x con números, no distribuir a todos los términos, no cambiar el signo tras un "-"
+     * @private
+     */
+    generateLikeTerms(difficulty) {
+        const { coefficient, constant } = this.getAlgebraRanges(difficulty);
+        const linear = (x, k) => this.formatPolynomial([[x, 'x'], [k, '']]);
+        let a, b, c, d, question, x, k, wrongs;
+        
+        // El resultado siempre tiene término en x y término independiente
+        do {
+            a = this.randomInt(...coefficient);
+            c = this.randomInt(...coefficient);
+            b = this.randomNonZero(...constant);
+            d = this.randomNonZero(...constant);
+            
+            if (difficulty === 'easy') {
+                question = `${linear(a, b)} + ${linear(c, d)}`;
+                x = a + c;
+                k = b + d;
+                wrongs = [`${a + b + c + d}x`, linear(x, b), linear(a * c, k)];
+            } else if (difficulty === 'medium') {
+                question = `${a}(${linear(1, b)}) + ${linear(c, d)}`;
+                x = a + c;
+                k = a * b + d;
+                wrongs = [linear(x, b + d), linear(x, a + b + d), linear(x, -a * b + d)];
+            } else {
+                question = `${a}(${linear(1, b)}) - ${c}(${linear(1, d)})`;
+                x = a - c;
+                k = a * b - c * d;
+                wrongs = [linear(x, a * b + c * d), linear(a + c, k), linear(x, b - d)];
+            }
+        } while (x === 0 || k === 0);
+        
+        return this.buildAlgebraQuestion({
+            question: `Simplifica: ${question}`,
+            correct: linear(x, k),
+            wrongs,
+            fill: step => linear(x, k + step),
+            explanation: `Agrupamos los términos en x y los números por separado: ${linear(x, k)}.`,
+            difficulty
+        });
+    }
+
+    /**
+     * Generar sistema de dos ecuaciones con solución entera (solo difícil)
+     * Distractores: intercambiar x e y, y errores de signo en una de las incógnitas
+     * @private
+     */
+    generateLinearSystem(difficulty) {
+        const { value } = this.getAlgebraRanges(difficulty);
+        const limit = Math.min(10, value[1]);
+        let x, y, a1, b1, a2, b2;
+        
+        do {
+            x = this.randomNonZero(-limit, limit);
+            y = this.randomNonZero(-limit, limit);
+            a1 = this.randomInt(1, 3);
+            b1 = this.randomNonZero(-3, 3);
+            a2 = this.randomInt(1, 3);
+            b2 = this.randomNonZero(-3, 3);
+        } while (Math.abs(x) === Math.abs(y) || a1 * b2 - a2 * b1 === 0);
+        
+        const equation = (p, q) => `${this.formatPolynomial([[p, 'x'], [q, 'y']])} = ${p * x + q * y}`;
+        const solution = (sx, sy) => `x = ${sx}, y = ${sy}`;
+        
+        return this.buildAlgebraQuestion({
+            question: `Resuelve el sistema: ${equation(a1, b1)}, ${equation(a2, b2)}`,
+            correct: solution(x, y),
+            wrongs: [solution(y, x), solution(x, -y), solution(-x, y)],
+            fill: step => solution(x + step, y - step),
+            explanation: `Por reducción o sustitución: x = ${x}, y = ${y}. Comprobación: ${equation(a1, b1)}.`,
+            difficulty
+        });
     }
 
     // ==========================================
@@ -662,33 +2105,286 @@ class QuestionBank {
     // ==========================================
 
     /**
-     * Generar número entero aleatorio
+     * Construir una pregunta de opción múltiple cuyas opciones son valores escritos como texto
+     * (fracciones, decimales, porcentajes). Los distractores que valen lo mismo que la respuesta
+     * se descartan: las respuestas se comparan por valor (3/6 = 1/2).
+     * Con lowestTerms la respuesta debe darse simplificada, así que nunca se pregunta como respuesta libre
      * @private
      */
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    buildValueQuestion({ question, correct, wrongs, fill, explanation, category = 'fractions', difficulty, lowestTerms = false }) {
+        const valueOf = text => this.answerChecker.parseNumber(text);
+        const used = new Set([this.formatDecimal(valueOf(correct))]);
+        const distractors = [];
+        
+        const tryAdd = text => {
+            const value = valueOf(text);
+            if (value === null || value <= 0 || used.has(this.formatDecimal(value))) return;
+            used.add(this.formatDecimal(value));
+            distractors.push(text);
+        };
+        
+        wrongs.forEach(tryAdd);
+        
+        // Completar con valores cercanos
+        for (let k = 1; distractors.length < 3 && k < 50; k++) {
+            tryAdd(fill(k));
+            if (distractors.length < 3) tryAdd(fill(-k));
+        }
+        
+        const built = {
+            question,
+            options: this.shuffleArray([correct, ...distractors.slice(0, 3)]),
+            correctAnswer: correct,
+            explanation,
+            category,
+            difficulty,
+            type: 'multiple_choice'
+        };
+        
+        if (lowestTerms) {
+            built.lowestTerms = true;
+        }
+        
+        return built;
     }
 
     /**
-     * Generar respuestas incorrectas
+     * Fracción irreducible como texto ("3/4"; "2" si el denominador queda en 1)
      * @private
      */
-    generateWrongAnswers(correct, count) {
-        const wrongAnswers = [];
-        const used = new Set([correct]);
+    formatFraction(numerator, denominator) {
+        const divisor = this.gcd(numerator, denominator);
+        const n = numerator / divisor;
+        const d = denominator / divisor;
+        return d === 1 ? String(n) : `${n}/${d}`;
+    }
+
+    /**
+     * Decimal con hasta 4 cifras y sin ceros sobrantes (0.375, 1.5)
+     * @private
+     */
+    formatDecimal(value) {
+        return String(Math.round(value * 10000) / 10000);
+    }
+
+    /**
+     * Máximo común divisor
+     * @private
+     */
+    gcd(a, b) {
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a || 1;
+    }
+
+    /**
+     * Mínimo común múltiplo
+     * @private
+     */
+    lcm(a, b) {
+        return (a * b) / this.gcd(a, b);
+    }
+
+    /**
+     * Construir una pregunta de aritmética con distractores etiquetados
+     * misconceptions indica qué error típico lleva a cada opción incorrecta
+     * @private
+     */
+    buildArithmeticQuestion({ question, correct, distractors, explanation, difficulty }) {
+        const misconceptions = {};
+        distractors.forEach(({ value, misconception }) => {
+            misconceptions[String(value)] = {
+                tag: misconception,
+                description: this.distractorEngine.describe(misconception)
+            };
+        });
         
-        while (wrongAnswers.length < count) {
-            // Generar respuesta cercana pero incorrecta
-            const offset = this.randomInt(-Math.max(1, Math.floor(correct * 0.3)), Math.max(1, Math.floor(correct * 0.3)));
-            const wrong = Math.max(0, correct + offset);
-            
-            if (!used.has(wrong)) {
-                wrongAnswers.push(wrong.toString());
-                used.add(wrong);
+        return {
+            question,
+            options: this.shuffleArray([correct, ...distractors.map(d => d.value)].map(String)),
+            correctAnswer: String(correct),
+            explanation,
+            category: 'arithmetic',
+            difficulty,
+            type: 'multiple_choice',
+            misconceptions
+        };
+    }
+
+    /**
+     * Construir una pregunta de álgebra de opción múltiple
+     * Admite respuestas negativas y expresiones como texto ("5x - 3"); descarta distractores
+     * repetidos y los decimales cuando la respuesta es entera
+     * @private
+     */
+    buildAlgebraQuestion({ question, correct, wrongs, fill = step => correct + step, explanation, difficulty }) {
+        const used = new Set([String(correct)]);
+        const distractors = [];
+        
+        const tryAdd = wrong => {
+            if (typeof wrong === 'number' && !Number.isInteger(wrong)) return; // Un decimal delataría la respuesta
+            const text = String(wrong);
+            if (used.has(text)) return;
+            used.add(text);
+            distractors.push(text);
+        };
+        
+        wrongs.forEach(tryAdd);
+        
+        // Completar con valores cercanos
+        for (let step = 1; distractors.length < 3 && step < 50; step++) {
+            tryAdd(fill(step));
+            if (distractors.length < 3) tryAdd(fill(-step));
+        }
+        
+        return {
+            question,
+            options: this.shuffleArray([String(correct), ...distractors.slice(0, 3)]),
+            correctAnswer: String(correct),
+            explanation,
+            category: 'algebra',
+            difficulty,
+            type: 'multiple_choice'
+        };
+    }
+
+    /**
+     * Escribir un polinomio a partir de [coeficiente, variable] ("3x² - x + 5")
+     * Omite los términos nulos y el coeficiente 1
+     * @private
+     */
+    formatPolynomial(terms) {
+        const parts = terms
+            .filter(([coefficient]) => coefficient !== 0)
+            .map(([coefficient, variable], index) => {
+                const magnitude = Math.abs(coefficient);
+                const body = variable && magnitude === 1 ? variable : `${magnitude}${variable}`;
+                if (index === 0) return coefficient < 0 ? `-${body}` : body;
+                return `${coefficient < 0 ? '-' : '+'} ${body}`;
+            });
+        
+        return parts.length ? parts.join(' ') : '0';
+    }
+
+    /**
+     * Número negativo entre paréntesis para escribirlo tras un operador ("3 × (-2)")
+     * @private
+     */
+    formatSigned(value) {
+        return value < 0 ? `(${value})` : String(value);
+    }
+
+    /**
+     * Entero aleatorio distinto de cero
+     * @private
+     */
+    randomNonZero(min, max) {
+        let value;
+        do {
+            value = this.randomInt(min, max);
+        } while (value === 0);
+        return value;
+    }
+
+    /**
+     * Construir una pregunta generada de opción múltiple con respuesta numérica
+     * Descarta distractores repetidos, negativos o iguales a la respuesta y completa con valores cercanos
+     * @private
+     */
+    buildGeneratedQuestion({ question, correct, wrongs, unit = '', explanation, category = 'geometry', difficulty, tolerance }) {
+        const withUnit = value => unit === '°' || !unit ? `${this.formatNumber(value)}${unit}` : `${this.formatNumber(value)} ${unit}`;
+        
+        const used = new Set([this.formatNumber(correct)]);
+        const distractors = wrongs.filter(wrong => {
+            const key = this.formatNumber(wrong);
+            if (wrong <= 0 || used.has(key)) return false;
+            if (Number.isInteger(correct) && !Number.isInteger(wrong)) return false; // Un decimal delataría la respuesta
+            used.add(key);
+            return true;
+        });
+        
+        // Completar con valores cercanos si algún error común coincide con la respuesta
+        const step = Number.isInteger(correct) ? 1 : 0.5;
+        let offset = step;
+        while (distractors.length < 3) {
+            const candidate = correct + offset;
+            if (candidate > 0 && !used.has(this.formatNumber(candidate))) {
+                distractors.push(candidate);
+                used.add(this.formatNumber(candidate));
             }
+            offset = offset > 0 ? -offset : -offset + step;
         }
         
-        return wrongAnswers;
+        const result = {
+            question,
+            options: this.shuffleArray([correct, ...distractors.slice(0, 3)].map(withUnit)),
+            correctAnswer: withUnit(correct),
+            explanation,
+            category,
+            difficulty,
+            type: 'multiple_choice'
+        };
+        
+        if (tolerance) {
+            result.tolerance = tolerance;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Redondear a 2 decimales y quitar ceros sobrantes (113.04, 12.5, 40)
+     * @private
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Convertir una pregunta de opción múltiple en numérica de respuesta libre
+     * La unidad de la respuesta ("113.04 cm²") se separa para mostrarla junto al campo
+     * @private
+     */
+    toNumericQuestion(question) {
+        const correctAnswer = String(question.correctAnswer).trim();
+        const unit = correctAnswer.match(this.answerChecker.unitPattern)?.[0].trim() || '';
+        
+        return {
+            ...question,
+            type: 'numeric',
+            options: [],
+            correctAnswer: unit ? correctAnswer.slice(0, -unit.length).trim() : correctAnswer,
+            unit: unit,
+            tolerance: { absolute: 0, relative: 0, ...question.tolerance }
+        };
+    }
+
+    /**
+     * Ejecutar una generación con un generador pseudoaleatorio con semilla
+     * La generación es síncrona, así que ninguna otra sala usa la semilla mientras tanto
+     * @private
+     */
+    withSeed(seed, generate) {
+        const rng = new SeededRandom(seed);
+        const previous = this.random;
+        this.random = () => rng.next();
+        
+        try {
+            return generate();
+        } finally {
+            this.random = previous;
+        }
+    }
+
+    /**
+     * Generar número entero aleatorio
+     * @private
+     */
+    randomInt(min, max) {
+        return Math.floor(this.random() * (max - min + 1)) + min;
     }
 
     /**
@@ -698,7 +2394,7 @@ class QuestionBank {
     shuffleArray(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -709,6 +2405,11 @@ class QuestionBank {
      * @private
      */
     getDifficultyDistribution(baseDifficulty) {
+        // Distribución ya calculada (p. ej. { hard: 1 } para un conjunto de una sola dificultad)
+        if (typeof baseDifficulty === 'object' && baseDifficulty !== null) {
+            return baseDifficulty;
+        }
+        
         const distributions = {
             easy: { easy: 0.7, medium: 0.3, hard: 0.0 },
             medium: { easy: 0.2, medium: 0.6, hard: 0.2 },
@@ -723,7 +2424,7 @@ class QuestionBank {
      * @private
      */
     selectDifficultyFromDistribution(distribution) {
-        const rand = Math.random();
+        const rand = this.random();
         let cumulative = 0;
         
         for (const [difficulty, probability] of Object.entries(distribution)) {
@@ -0,0 +1,226 @@
+// controllers/reportGenerator.js - Informes para el Profesor del Juego Math Battle
+
+/**
+ * REPORTGENERATOR - Genera informes a partir de los resultados guardados de una partida
+ * 
+ * Funcionalidades principales:
+ * - Tabla por alumno (puntuación, precisión, tiempo medio, respuesta a cada pregunta)
+ * - Análisis por pregunta (% de aciertos, opción incorrecta más elegida y el error típico que la explica)
+ * - Exportación a JSON y CSV (para importar en el cuaderno de notas)
+ */
+
+class ReportGenerator {
+    /**
+     * Construir el informe completo de una partida
+     * @param {Object} results - Resultados guardados (getFinalResults + answerLog)
+     * @returns {Object} { gameId, finishedAt, students, questions }
+     */
+    buildReport(results) {
+        const rounds = results.roundHistory || [];
+        const answerLog = results.answerLog || [];
+        
+        // Respuestas indexadas por pregunta y jugador
+        const answersByQuestion = new Map(answerLog.map(entry => [
+            entry.questionNumber,
+            new Map(entry.answers.map(a => [a.playerId, a]))
+        ]));
+        
+        return {
+            gameId: results.gameId,
+            roomCode: results.roomCode,
+            finishedAt: results.finishedAt,
+            totalQuestions: rounds.length,
+            students: this.buildStudentTable(results.finalRanking || [], rounds, answersByQuestion),
+            questions: this.buildQuestionAnalysis(rounds, answersByQuestion)
+        };
+    }
+
+    /**
+     * Convertir una tabla del informe a CSV
+     * @param {Object} report - Informe generado con buildReport
+     * @param {string} table - 'students' o 'questions'
+     * @returns {string} Contenido CSV (UTF-8 con BOM para Excel)
+     */
+    toCsv(report, table = 'students') {
+        let rows;
+        
+        if (table === 'students') {
+            const questionNumbers = report.questions.map(q => q.questionNumber);
+            rows = [
+                [
+                    'Posición', 'Nombre', 'Puntuación', 'Correctas', 'Respondidas', 'Preguntas',
+                    'Precisión (%)', 'Tiempo medio (s)',
+                    ...questionNumbers.flatMap(n => [`P${n}`, `P${n} correcta`])
+                ],
+                ...report.students.map(student => [
+                    student.rank,
+                    student.playerName,
+                    student.score,
+                    student.correctAnswers,
+                    student.answered,
+                    student.totalQuestions,
+                    student.accuracy,
+                    (student.averageResponseTime / 1000).toFixed(2),
+                    ...questionNumbers.flatMap(n => {
+                        const answer = student.answers[n];
+                        return answer ? [answer.answer ?? '', answer.isCorrect ? 1 : 0] : ['', ''];
+                    })
+                ])
+            ];
+        } else if (table === 'questions') {
+            rows = [
+                [
+                    'Pregunta', 'Enunciado', 'Categoría', 'Dificultad', 'Respuesta correcta',
+                    'Jugadores', 'Respondieron', 'Correctas', 'Aciertos (%)', 'Tiempo medio (s)',
+                    'Incorrecta más elegida', 'Veces elegida', 'Error típico'
+                ],
+                ...report.questions.map(q => [
+                    q.questionNumber,
+                    q.question,
+                    q.category,
+                    q.difficulty,
+                    q.correctAnswer,
+                    q.totalPlayers,
+                    q.answered,
+                    q.correctCount,
+                    q.percentCorrect,
+                    (q.averageResponseTime / 1000).toFixed(2),
+                    q.mostChosenWrongOption ? q.mostChosenWrongOption.answer : '',
+                    q.mostChosenWrongOption ? q.mostChosenWrongOption.count : 0,
+                    q.mostChosenWrongOption?.misconception || ''
+                ])
+            ];
+        } else {
+            throw new Error(`Tabla de informe desconocida: ${table}`);
+        }
+        
+        return '\uFEFF' + rows.map(row => row.map(cell => this.escapeCsv(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Tabla por alumno
+     * @private
+     */
+    buildStudentTable(finalRanking, rounds, answersByQuestion) {
+        return finalRanking.map(entry => {
+            const answers = {};
+            let correctAnswers = 0;
+            let answered = 0;
+            let totalQuestions = 0;
+            let totalResponseTime = 0;
+            
+            rounds.forEach(round => {
+                const ranking = round.roundRanking.find(r => r.playerId === entry.playerId);
+                if (!ranking) {
+                    return; // No participó en esta ronda (eliminado o se unió después)
+                }
+                
+                const logged = answersByQuestion.get(round.questionNumber)?.get(entry.playerId);
+                
+                totalQuestions++;
+                if (ranking.isCorrect) correctAnswers++;
+                if (ranking.answered) {
+                    answered++;
+                    totalResponseTime += ranking.responseTime;
+                }
+                
+                answers[round.questionNumber] = {
+                    answer: ranking.answered && logged ? logged.answer : null,
+                    isCorrect: ranking.isCorrect,
+                    answered: !!ranking.answered,
+                    pointsEarned: ranking.pointsEarned
+                };
+            });
+            
+            return {
+                rank: entry.rank,
+                playerId: entry.playerId,
+                playerName: entry.playerName,
+                score: entry.totalScore,
+                correctAnswers: correctAnswers,
+                answered: answered,
+                totalQuestions: totalQuestions,
+                accuracy: totalQuestions ? Math.round((correctAnswers / totalQuestions) * 100) : 0,
+                averageResponseTime: answered ? Math.round(totalResponseTime / answered) : 0,
+                answers: answers
+            };
+        });
+    }
+
+    /**
+     * Análisis por pregunta
+     * @private
+     */
+    buildQuestionAnalysis(rounds, answersByQuestion) {
+        return rounds.map(round => {
+            const logged = Array.from(answersByQuestion.get(round.questionNumber)?.values() || []);
+            const submitted = logged.filter(a => a.answered);
+            
+            // Distribución de respuestas enviadas
+            const distribution = {};
+            submitted.forEach(a => {
+                const key = this.answerKey(a.answer);
+                distribution[key] = (distribution[key] || 0) + 1;
+            });
+            
+            // Opción incorrecta más elegida
+            const wrongCounts = {};
+            submitted.filter(a => !a.isCorrect).forEach(a => {
+                const key = this.answerKey(a.answer);
+                wrongCounts[key] = (wrongCounts[key] || 0) + 1;
+            });
+            const [topWrong] = Object.entries(wrongCounts).sort((a, b) => b[1] - a[1]);
+            
+            return {
+                questionNumber: round.questionNumber,
+                question: round.question.question,
+                category: round.question.category,
+                difficulty: round.question.difficulty,
+                correctAnswer: this.answerKey(round.correctAnswer),
+                totalPlayers: round.stats.totalPlayers,
+                answered: round.stats.playersAnswered,
+                correctCount: round.stats.correctAnswers,
+                percentCorrect: round.stats.accuracy,
+                averageResponseTime: round.stats.averageResponseTime,
+                mostChosenWrongOption: topWrong
+                    ? {
+                        answer: topWrong[0],
+                        count: topWrong[1],
+                        misconception: round.question.misconceptions?.[topWrong[0]]?.description || null
+                    }
+                    : null,
+                distribution: distribution
+            };
+        });
+    }
+
+    /**
+     * Texto de una respuesta para agrupar y exportar
+     * @private
+     */
+    answerKey(answer) {
+        return Array.isArray(answer) ? answer.join(', ') : String(answer ?? '').trim();
+    }
+
+    /**
+     * Escapar una celda CSV
+     * @private
+     */
+    escapeCsv(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        
+        // Nombres y respuestas libres que empiezan como una fórmula se guardan como texto
+        // para que la hoja de cálculo no los ejecute (=HYPERLINK(...), +, -, @...)
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+export default ReportGenerator;
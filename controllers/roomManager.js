@@ -7,21 +7,41 @@
  * - Crear salas con códigos únicos
  * - Gestionar jugadores en cada sala
  * - Configurar parámetros del juego
+ * - Formar equipos (modo equipos) y equilibrarlos
+ * - Emitir el token de solo lectura de la pantalla de proyección
  * - Limpiar salas inactivas
  */
 
+import { randomUUID } from 'crypto';
+
 class RoomManager {
     constructor() {
         // Almacén de salas activas { roomCode: roomData }
         this.rooms = new Map();
         
+        // Tokens de solo lectura de las pantallas de proyección { roomCode: token }
+        // Fuera del objeto sala para que no llegue a los jugadores con ella
+        this.displayTokens = new Map();
+        
         // Configuración por defecto de las salas
         this.defaultSettings = {
             maxPlayers: 30,
             questionTime: 30, // segundos por pregunta
             totalQuestions: 10,
             difficultyLevel: 'medium',
-            categories: ['arithmetic', 'logic', 'geometry']
+            categories: ['arithmetic', 'logic', 'geometry'],
+            gameMode: 'classic', // 'classic', 'lives' (eliminación por vidas) o 'bracket' (torneo de duelos 1 contra 1)
+            livesPerPlayer: 3,
+            questionsPerMatch: 5, // Preguntas de cada duelo (modo 'bracket')
+            scoring: 'classic', // Preset de puntuación o { preset, ...valoresPersonalizados }
+            questionSetId: null, // Conjunto de preguntas del profesor (null = banco integrado)
+            questionTypes: ['multiple_choice'], // Añadir 'numeric', 'true_false', 'multi_select' u 'ordering'
+            seed: null, // Semilla para repetir el mismo cuestionario (null = aleatorio)
+            adaptiveDifficulty: false, // Cada jugador recibe preguntas de su nivel, que sube o baja según sus respuestas
+            teamMode: false, // Los puntos de los jugadores se suman en equipos
+            teams: 2, // Número de equipos o lista de nombres (['Rojo', 'Azul'])
+            teamScoring: 'sum', // 'sum' (suma de puntos) o 'average' (media, para equipos desiguales)
+            hostReveal: false // La respuesta de cada ronda espera a que el host la desvele (con un máximo de espera)
         };
         
         // Iniciar limpieza automática de salas inactivas cada 30 minutos
@@ -63,6 +83,9 @@ class RoomManager {
             settings: settings,
             status: 'waiting', // 'waiting', 'playing', 'finished'
             maxPlayers: settings.maxPlayers,
+            isLocked: false, // Si está bloqueada no admite nuevos jugadores
+            bannedPlayers: [], // [{ playerId, name, reconnectToken }] expulsados que no pueden volver (nombre normalizado)
+            teams: [], // [{ id, name, playerIds }] (solo modo equipos)
             createdAt: new Date(),
             lastActivity: new Date(),
             gameState: {
@@ -73,7 +96,9 @@ class RoomManager {
             }
         };
         
+        this.configureTeams(roomData);
         this.rooms.set(roomCode, roomData);
+        this.displayTokens.set(roomCode, randomUUID());
         
         console.log(`🏠 [RoomManager] Sala creada: ${roomCode} (Host: ${hostId})`);
         
@@ -123,6 +148,11 @@ class RoomManager {
         // Inicializar puntuación del jugador
         room.gameState.scores[player.id] = 0;
         
+        // En modo equipos entra en el equipo con menos jugadores (puede cambiarse en el lobby)
+        if (room.settings.teamMode && !player.isObserver) {
+            this.getSmallestTeam(room).playerIds.push(player.id);
+        }
+        
         console.log(`👤 [RoomManager] Jugador ${player.name} añadido a sala ${roomCode} (${room.players.length}/${room.maxPlayers})`);
         
         return true;
@@ -153,6 +183,9 @@ class RoomManager {
         // Limpiar datos del juego para este jugador
         delete room.gameState.scores[playerId];
         delete room.gameState.answers[playerId];
+        room.teams.forEach(team => {
+            team.playerIds = team.playerIds.filter(id => id !== playerId);
+        });
         
         room.lastActivity = new Date();
         
@@ -214,14 +247,262 @@ class RoomManager {
             throw new Error('No se puede cambiar la configuración durante el juego');
         }
         
+        if (newSettings.maxPlayers !== undefined && newSettings.maxPlayers < room.players.length) {
+            throw new Error(`Ya hay ${room.players.length} jugadores en la sala`);
+        }
+        
         room.settings = { ...room.settings, ...newSettings };
+        room.maxPlayers = room.settings.maxPlayers;
         room.lastActivity = new Date();
         
+        // Rehacer los equipos si cambió el modo o su número/nombres
+        if (newSettings.teamMode !== undefined || newSettings.teams !== undefined) {
+            this.configureTeams(room);
+        }
+        
         console.log(`⚙️ [RoomManager] Configuración de sala ${roomCode} actualizada:`, newSettings);
         
         return true;
     }
 
+    /**
+     * Cambiar a un jugador de equipo (solo en el lobby)
+     * @param {string} roomCode - Código de la sala
+     * @param {string} playerId - ID del jugador
+     * @param {string} teamId - ID del equipo destino
+     * @returns {Array} Equipos actualizados
+     */
+    joinTeam(roomCode, playerId, teamId) {
+        const room = this.getRoom(roomCode);
+        
+        if (!room) {
+            throw new Error(`Sala ${roomCode} no encontrada`);
+        }
+        
+        if (!room.settings.teamMode) {
+            throw new Error('La sala no está en modo equipos');
+        }
+        
+        if (room.status !== 'waiting') {
+            throw new Error('Solo se puede cambiar de equipo antes de empezar');
+        }
+        
+        const player = room.players.find(p => p.id === playerId);
+        if (!player || player.isObserver) {
+            throw new Error('Solo los jugadores pueden unirse a un equipo');
+        }
+        
+        const team = room.teams.find(t => t.id === teamId);
+        if (!team) {
+            throw new Error('Equipo no encontrado');
+        }
+        
+        room.teams.forEach(t => {
+            t.playerIds = t.playerIds.filter(id => id !== playerId);
+        });
+        team.playerIds.push(playerId);
+        
+        console.log(`👥 [RoomManager] ${player.name} se unió al equipo ${team.name} en sala ${roomCode}`);
+        
+        return room.teams;
+    }
+
+    /**
+     * Equilibrar los equipos: reparte a los jugadores sin equipo o, con reshuffle, a todos
+     * @param {string} roomCode - Código de la sala
+     * @param {boolean} reshuffle - true para mezclar y repartir de nuevo a todos los jugadores
+     * @returns {Array} Equipos actualizados
+     */
+    balanceTeams(roomCode, reshuffle = false) {
+        const room = this.getRoom(roomCode);
+        
+        if (!room) {
+            throw new Error(`Sala ${roomCode} no encontrada`);
+        }
+        
+        if (!room.settings.teamMode) {
+            throw new Error('La sala no está en modo equipos');
+        }
+        
+        if (reshuffle) {
+            room.teams.forEach(team => {
+                team.playerIds = [];
+            });
+        }
+        
+        const assigned = new Set(room.teams.flatMap(team => team.playerIds));
+        const unassigned = room.players.filter(p => !p.isObserver && !assigned.has(p.id));
+        
+        // Fisher-Yates para que no queden juntos siempre los mismos
+        for (let i = unassigned.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [unassigned[i], unassigned[j]] = [unassigned[j], unassigned[i]];
+        }
+        
+        unassigned.forEach(player => {
+            this.getSmallestTeam(room).playerIds.push(player.id);
+        });
+        
+        return room.teams;
+    }
+
+    /**
+     * Obtener el token de solo lectura de la pantalla de proyección (solo para el host)
+     * @param {string} roomCode - Código de la sala
+     * @returns {string|null} Token o null si la sala no existe
+     */
+    getDisplayToken(roomCode) {
+        return this.displayTokens.get(roomCode) || null;
+    }
+
+    /**
+     * Verificar el token de una pantalla de proyección
+     * @param {string} roomCode - Código de la sala
+     * @param {string} token - Token recibido
+     * @returns {boolean} true si el token es el de la sala
+     */
+    isValidDisplayToken(roomCode, token) {
+        const expected = this.displayTokens.get(roomCode);
+        return !!expected && typeof token === 'string' && token === expected;
+    }
+
+    /**
+     * Bloquear o desbloquear la entrada de nuevos jugadores
+     * @param {string} roomCode - Código de la sala
+     * @param {boolean} locked - true para bloquear
+     * @returns {boolean} true si se actualizó correctamente
+     */
+    setRoomLocked(roomCode, locked) {
+        const room = this.getRoom(roomCode);
+        
+        if (!room) {
+            return false;
+        }
+        
+        room.isLocked = !!locked;
+        
+        console.log(`🔒 [RoomManager] Sala ${roomCode} ${room.isLocked ? 'bloqueada' : 'desbloqueada'}`);
+        
+        return true;
+    }
+
+    /**
+     * Vetar a un jugador para que no pueda volver a la sala
+     * El veto se aplica por ID, por token de reconexión y por nombre (un jugador expulsado vuelve con otro socket)
+     * @param {string} roomCode - Código de la sala
+     * @param {Object} player - Datos del jugador
+     * @param {string|null} reconnectToken - Token de reconexión que tenía el jugador
+     * @returns {boolean} true si se vetó correctamente
+     */
+    banPlayer(roomCode, player, reconnectToken = null) {
+        const room = this.getRoom(roomCode);
+        
+        if (!room) {
+            return false;
+        }
+        
+        room.bannedPlayers.push({
+            playerId: player.id,
+            name: this.normalizeBanName(player.name),
+            reconnectToken: reconnectToken
+        });
+        
+        console.log(`🚫 [RoomManager] Jugador ${player.name} vetado en sala ${roomCode}`);
+        
+        return true;
+    }
+
+    /**
+     * Verificar si un jugador está vetado en la sala
+     * Basta con que coincida el ID, el token de reconexión o el nombre (sin espacios ni mayúsculas)
+     * @param {string} roomCode - Código de la sala
+     * @param {Object} identity - { playerId, playerName, reconnectToken } (los que se conozcan)
+     * @returns {boolean} true si está vetado
+     */
+    isPlayerBanned(roomCode, { playerId = null, playerName = null, reconnectToken = null } = {}) {
+        const room = this.rooms.get(roomCode);
+        
+        if (!room) {
+            return false;
+        }
+        
+        const name = typeof playerName === 'string' ? this.normalizeBanName(playerName) : null;
+        return room.bannedPlayers.some(banned =>
+            (playerId && banned.playerId === playerId) ||
+            (reconnectToken && banned.reconnectToken === reconnectToken) ||
+            (name && banned.name === name)
+        );
+    }
+
+    /**
+     * Preparar la sala para una nueva partida con los mismos jugadores
+     * @param {string} roomCode - Código de la sala
+     * @returns {boolean} true si se reinició correctamente
+     */
+    resetRoomForNewGame(roomCode) {
+        const room = this.getRoom(roomCode);
+        
+        if (!room) {
+            return false;
+        }
+        
+        room.gameState = {
+            currentQuestion: null,
+            questionNumber: 0,
+            answers: {},
+            scores: Object.fromEntries(room.players.map(p => [p.id, 0]))
+        };
+        
+        this.updateRoomStatus(roomCode, 'waiting');
+        
+        return true;
+    }
+
+    /**
+     * Exportar una sala a un objeto serializable (jugadores como IDs)
+     * @param {string} roomCode - Código de la sala
+     * @returns {Object|null} Datos de la sala
+     */
+    exportRoom(roomCode) {
+        const room = this.rooms.get(roomCode);
+        
+        if (!room) {
+            return null;
+        }
+        
+        return {
+            ...room,
+            players: room.players.map(p => p.id),
+            displayToken: this.displayTokens.get(roomCode)
+        };
+    }
+
+    /**
+     * Restaurar una sala exportada con exportRoom
+     * @param {Object} roomData - Datos exportados
+     * @param {Array} players - Objetos de los jugadores ya restaurados
+     * @returns {Object} Sala restaurada
+     */
+    restoreRoom(roomData, players) {
+        const { displayToken, ...data } = roomData;
+        const room = {
+            ...data,
+            players: data.players
+                .map(id => players.find(p => p.id === id))
+                .filter(Boolean),
+            teams: data.teams || [],
+            createdAt: new Date(data.createdAt),
+            lastActivity: new Date()
+        };
+        
+        this.rooms.set(room.code, room);
+        this.displayTokens.set(room.code, displayToken || randomUUID());
+        
+        console.log(`♻️ [RoomManager] Sala restaurada: ${room.code} (${room.players.length} jugadores)`);
+        
+        return room;
+    }
+
     /**
      * Cerrar una sala específica
      * @param {string} roomCode - Código de la sala
@@ -235,6 +516,7 @@ class RoomManager {
         }
         
         this.rooms.delete(roomCode);
+        this.displayTokens.delete(roomCode);
         
         console.log(`🚪 [RoomManager] Sala ${roomCode} cerrada (${room.players.length} jugadores)`);
         
@@ -290,6 +572,7 @@ class RoomManager {
             
             if (inactiveTime > maxInactiveTime) {
                 this.rooms.delete(roomCode);
+                this.displayTokens.delete(roomCode);
                 cleanedCount++;
                 console.log(`🧹 [RoomManager] Sala inactiva ${roomCode} eliminada (inactiva ${Math.round(inactiveTime / 60000)} minutos)`);
             }
@@ -304,6 +587,51 @@ class RoomManager {
         return cleanedCount;
     }
 
+    /**
+     * Crear los equipos de la configuración y repartir a los jugadores que ya estén en la sala
+     * @private
+     */
+    configureTeams(room) {
+        const { teamMode, teams } = room.settings;
+        
+        if (!teamMode) {
+            room.teams = [];
+            return;
+        }
+        
+        const names = Array.isArray(teams)
+            ? teams.map(name => name.trim())
+            : Array.from({ length: teams || 2 }, (_, i) => `Equipo ${i + 1}`);
+        
+        room.teams = names.map((name, i) => ({
+            id: `team-${i + 1}`,
+            name: name,
+            playerIds: []
+        }));
+        
+        room.players
+            .filter(p => !p.isObserver)
+            .forEach(player => this.getSmallestTeam(room).playerIds.push(player.id));
+    }
+
+    /**
+     * Equipo con menos jugadores (el primero en caso de empate)
+     * @private
+     */
+    getSmallestTeam(room) {
+        return room.teams.reduce((smallest, team) =>
+            team.playerIds.length < smallest.playerIds.length ? team : smallest
+        );
+    }
+
+    /**
+     * Nombre tal y como se compara en los vetos: sin espacios alrededor y en minúsculas
+     * @private
+     */
+    normalizeBanName(name) {
+        return String(name).trim().toLowerCase();
+    }
+
     /**
      * Iniciar intervalo de limpieza automática
      * @private
@@ -328,6 +656,43 @@ class RoomManager {
                /^[A-Z0-9]{6}$/.test(roomCode);
     }
 
+    /**
+     * Obtener la sala tal como la ven sus jugadores
+     * Sin estado interno de la partida (gameState), vetados ni socket del host
+     * @param {string} roomCode - Código de la sala
+     * @param {boolean} forHost - Incluir la semilla y el conjunto de preguntas (solo para el host)
+     * @returns {Object|null} Sala para los clientes
+     */
+    getRoomState(roomCode, forHost = false) {
+        const room = this.getRoom(roomCode);
+        
+        if (!room) {
+            return null;
+        }
+        
+        return {
+            code: room.code,
+            players: room.players,
+            settings: forHost ? room.settings : this.getPublicSettings(room.settings),
+            status: room.status,
+            maxPlayers: room.maxPlayers,
+            isLocked: room.isLocked,
+            teams: room.teams,
+            createdAt: room.createdAt
+        };
+    }
+
+    /**
+     * Configuración de la sala para los jugadores
+     * Sin seed ni questionSetId: con ellos se pueden generar las preguntas y sus respuestas fuera del juego
+     * @param {Object} settings - Configuración de la sala
+     * @returns {Object} Configuración sin datos del host
+     */
+    getPublicSettings(settings) {
+        const { seed, questionSetId, ...publicSettings } = settings;
+        return publicSettings;
+    }
+
     /**
      * Obtener información pública de una sala (sin datos sensibles)
      * @param {string} roomCode - Código de la sala
@@ -348,7 +713,8 @@ class RoomManager {
             settings: {
                 totalQuestions: room.settings.totalQuestions,
                 questionTime: room.settings.questionTime,
-                difficultyLevel: room.settings.difficultyLevel
+                difficultyLevel: room.settings.difficultyLevel,
+                gameMode: room.settings.gameMode
             }
         };
     }
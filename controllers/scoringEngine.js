@@ -0,0 +1,174 @@
+// controllers/scoringEngine.js - Motor de Puntuación del Juego Math Battle
+
+/**
+ * SCORINGENGINE - Cálculo único de puntos compartido por GameLogic y PlayerManager
+ *
+ * Funcionalidades principales:
+ * - Puntos base por respuesta correcta
+ * - Multiplicador por dificultad
+ * - Bonus por velocidad (tiempo restante medido por el servidor)
+ * - Bonus por racha de respuestas correctas
+ * - Crédito parcial (selección múltiple parcialmente correcta)
+ * - Presets de reglas por sala (clásico, solo precisión, penalización, final doble)
+ */
+
+class ScoringEngine {
+    /**
+     * @param {Object} config - Valores que sobrescriben la configuración por defecto
+     */
+    constructor(config = {}) {
+        // Configuración de puntuación
+        this.config = {
+            correctAnswer: 100,           // Puntos base por respuesta correcta
+            wrongAnswer: 0,               // Puntos por respuesta incorrecta o sin responder
+            difficultyMultipliers: {
+                easy: 0.8,
+                medium: 1.0,
+                hard: 1.3
+            },
+            speedBonusRatio: 0.5,         // Bonus máximo por rapidez (50% de los puntos)
+            streakThreshold: 3,           // Respuestas correctas seguidas para activar la racha
+            streakBonusPerAnswer: 0.1,    // Bonus por cada respuesta de la racha (10%)
+            maxStreakBonus: 0.5,          // Bonus máximo por racha (50%)
+            finalQuestionMultiplier: 1,   // Multiplicador de la última pregunta
+            ...config
+        };
+        
+        // Presets que el profesor puede elegir al crear la sala
+        this.presets = {
+            classic: {},                                   // Estilo Kahoot: dificultad, velocidad y racha
+            accuracy: { speedBonusRatio: 0 },              // Solo precisión: sin bonus por velocidad
+            negative: { wrongAnswer: -50 },                // Penaliza las respuestas incorrectas
+            'double-final': { finalQuestionMultiplier: 2 } // La última pregunta vale el doble
+        };
+        
+        // Rangos permitidos para valores personalizados { clave: [mínimo, máximo] }
+        this.customRanges = {
+            correctAnswer: [0, 1000],
+            wrongAnswer: [-1000, 0],
+            speedBonusRatio: [0, 2],
+            streakThreshold: [1, 50],
+            streakBonusPerAnswer: [0, 1],
+            maxStreakBonus: [0, 2],
+            finalQuestionMultiplier: [1, 5]
+        };
+    }
+
+    /**
+     * Resolver las reglas activas de una sala a partir de su configuración
+     * @param {string|Object} scoring - Nombre de preset o { preset, ...valoresPersonalizados }
+     * @returns {Object} Reglas completas con el nombre del preset
+     */
+    resolveRules(scoring = 'classic') {
+        const { preset = 'classic', ...custom } = typeof scoring === 'string' ? { preset: scoring } : (scoring || {});
+        
+        if (!this.presets[preset]) {
+            throw new Error(`Preset de puntuación desconocido: ${preset}`);
+        }
+        
+        const rules = {
+            ...this.config,
+            ...this.presets[preset],
+            difficultyMultipliers: { ...this.config.difficultyMultipliers },
+            preset: preset
+        };
+        
+        // Aplicar valores personalizados dentro de los rangos permitidos
+        for (const [key, value] of Object.entries(custom)) {
+            if (key === 'difficultyMultipliers') {
+                for (const [difficulty, multiplier] of Object.entries(value || {})) {
+                    if (!(difficulty in rules.difficultyMultipliers) || !this.isInRange(multiplier, 0, 5)) {
+                        throw new Error(`Multiplicador de dificultad inválido: ${difficulty}`);
+                    }
+                    rules.difficultyMultipliers[difficulty] = multiplier;
+                }
+                continue;
+            }
+            
+            const range = this.customRanges[key];
+            if (!range || !this.isInRange(value, range[0], range[1])) {
+                throw new Error(`Valor de puntuación inválido: ${key}`);
+            }
+            rules[key] = value;
+        }
+        
+        return rules;
+    }
+
+    /**
+     * Calcular puntos de una respuesta
+     * @param {Object} params - Datos de la respuesta
+     * @param {boolean} params.isCorrect - Si la respuesta fue correcta
+     * @param {number} params.timeRemaining - Tiempo restante al responder (segundos)
+     * @param {number} params.maxTime - Tiempo máximo de la pregunta (segundos)
+     * @param {string} params.difficulty - Dificultad de la pregunta
+     * @param {number} params.streak - Racha de correctas incluyendo esta respuesta
+     * @param {boolean} params.isFinalQuestion - Si es la última pregunta de la partida
+     * @param {number} params.credit - Crédito parcial (0-1) de una respuesta no del todo correcta
+     * @param {Object} rules - Reglas de la sala (ver resolveRules); por defecto las clásicas
+     * @returns {Object} { points, breakdown } con el detalle de cada bonificación
+     */
+    calculatePoints({ isCorrect, timeRemaining = 0, maxTime = 0, difficulty = 'medium', streak = 0, isFinalQuestion = false, credit = 0 }, rules = this.config) {
+        // Multiplicador por dificultad
+        const difficultyMultiplier = rules.difficultyMultipliers[difficulty] || 1.0;
+        const finalMultiplier = isFinalQuestion ? rules.finalQuestionMultiplier : 1;
+
+        if (!isCorrect) {
+            // Crédito parcial: proporción de los puntos base, sin bonus por velocidad ni racha
+            if (credit > 0) {
+                const partialBase = Math.round(rules.correctAnswer * difficultyMultiplier * credit);
+                return {
+                    points: Math.round(partialBase * finalMultiplier),
+                    breakdown: { base: partialBase, difficultyMultiplier, speedBonus: 0, streakBonus: 0, finalMultiplier, credit }
+                };
+            }
+
+            return {
+                points: rules.wrongAnswer,
+                breakdown: { base: 0, difficultyMultiplier: 1, speedBonus: 0, streakBonus: 0, finalMultiplier: 1, credit: 0 }
+            };
+        }
+
+        const base = rules.correctAnswer * difficultyMultiplier;
+
+        // Bonus por velocidad
+        let speedBonus = 0;
+        if (timeRemaining > 0 && maxTime > 0) {
+            const speedRatio = Math.min(timeRemaining / maxTime, 1);
+            speedBonus = Math.round(base * rules.speedBonusRatio * speedRatio);
+        }
+
+        // Bonus por racha
+        let streakBonus = 0;
+        if (streak >= rules.streakThreshold) {
+            const streakRatio = Math.min(streak * rules.streakBonusPerAnswer, rules.maxStreakBonus);
+            streakBonus = Math.round((base + speedBonus) * streakRatio);
+        }
+
+        return {
+            points: Math.round((base + speedBonus + streakBonus) * finalMultiplier),
+            breakdown: {
+                base: Math.round(base),
+                difficultyMultiplier: difficultyMultiplier,
+                speedBonus: speedBonus,
+                streakBonus: streakBonus,
+                finalMultiplier: finalMultiplier,
+                credit: 1
+            }
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Verificar que un valor es numérico y está dentro del rango
+     * @private
+     */
+    isInRange(value, min, max) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+    }
+}
+
+export default ScoringEngine;
@@ -0,0 +1,50 @@
+// controllers/seededRandom.js - Generador Pseudoaleatorio con Semilla del Juego Math Battle
+
+/**
+ * SEEDEDRANDOM - Números pseudoaleatorios reproducibles
+ *
+ * Funcionalidades principales:
+ * - La misma semilla produce siempre la misma secuencia (algoritmo mulberry32)
+ * - Acepta semillas numéricas o de texto ("2B-lunes")
+ * - Misma interfaz que Math.random: next() devuelve un número en [0, 1)
+ */
+
+class SeededRandom {
+    /**
+     * @param {string|number} seed - Semilla
+     */
+    constructor(seed) {
+        this.state = this.hashSeed(seed);
+    }
+
+    /**
+     * Siguiente número de la secuencia
+     * @returns {number} Número en [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Convertir la semilla en un entero de 32 bits (FNV-1a sobre su texto)
+     * @private
+     */
+    hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (const char of String(seed)) {
+            hash ^= char.codePointAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+}
+
+export default SeededRandom;
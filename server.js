@@ -12,6 +12,13 @@ import RoomManager from './controllers/roomManager.js';
 import PlayerManager from './controllers/playerManager.js';
 import GameLogic from './controllers/gameLogic.js';
 import QuestionBank from './controllers/questionBank.js';
+import ScoringEngine from './controllers/scoringEngine.js';
+import ReportGenerator from './controllers/reportGenerator.js';
+import AssignmentManager from './controllers/assignmentManager.js';
+import BracketManager from './controllers/bracketManager.js';
+import EventValidator from './controllers/eventValidator.js';
+import FileStorage from './storage/fileStorage.js';
+import MemoryStorage from './storage/memoryStorage.js';
 
 // Configuración ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -36,98 +43,1094 @@ app.use(express.json());
 app.use(express.static('public'));
 
 // Inicializar gestores del juego
+const scoringEngine = new ScoringEngine(); // Un único motor de puntuación para ambos gestores
 const roomManager = new RoomManager();
-const playerManager = new PlayerManager();
-const gameLogic = new GameLogic();
-const questionBank = new QuestionBank();
+const questionBank = new QuestionBank(); // Compartido con GameLogic para los conjuntos del profesor
+const playerManager = new PlayerManager(scoringEngine, questionBank);
+const gameLogic = new GameLogic(scoringEngine, questionBank);
+const reportGenerator = new ReportGenerator();
+const assignmentManager = new AssignmentManager(scoringEngine, questionBank);
+const bracketManager = new BracketManager();
+const eventValidator = new EventValidator(roomManager, questionBank, scoringEngine);
+
+// Almacenamiento de resultados y snapshots ('file' por defecto, 'memory' sin persistencia)
+const storage = process.env.STORAGE_DRIVER === 'memory'
+    ? new MemoryStorage()
+    : new FileStorage(process.env.STORAGE_DIR || path.join(__dirname, 'data'));
+
+// Guardar snapshots de partidas en curso para reanudarlas tras un reinicio
+const SNAPSHOT_SESSIONS = process.env.SNAPSHOT_SESSIONS === 'true';
+
+// Tiempo que se da a los clientes para reconectarse antes de reanudar una partida restaurada (ms)
+const RESUME_DELAY = 10000;
 
 // Configuración del puerto
 const PORT = process.env.PORT || 3002;
 
+// Periodo de gracia para reconectarse antes de sacar al jugador de la sala (ms)
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD, 10) || 60000;
+
+// Espera máxima a que el host desvele la respuesta en salas con hostReveal (ms); después se desvela sola
+const HOST_REVEAL_TIMEOUT = parseInt(process.env.HOST_REVEAL_TIMEOUT, 10) || 30000;
+
+// Remociones pendientes de jugadores desconectados { playerId: timeout }
+const pendingRemovals = new Map();
+
+// Duelos en juego del modo torneo { matchCode: { roomCode, matchId } }
+// Cada duelo es una sesión de GameLogic con su propia clave y su propio canal de Socket.IO
+const matchSessions = new Map();
+
+// Rondas cerradas a la espera de que el host desvele la respuesta { roomCode: { roundResults, timer } }
+const pendingReveals = new Map();
+
+// Cada cuánto se cierran las tareas cuya fecha límite ya pasó (ms)
+const ASSIGNMENT_CHECK_INTERVAL = 60000;
+
+// Última escritura pendiente de cada tarea { code: Promise }, para guardarlas en orden
+const assignmentSaves = new Map();
+
+// ==========================================
+// PANTALLAS DE PROYECCIÓN
+// ==========================================
+
+/**
+ * Canal de Socket.IO de las pantallas de proyección de una sala
+ * Es distinto del de los jugadores para que nunca reciban `new-question` con la respuesta
+ * @param {string} roomCode - Código de la sala
+ */
+function getDisplayChannel(roomCode) {
+    return `display:${roomCode}`;
+}
+
+/**
+ * Canales de la sala y de sus pantallas, para los eventos que no desvelan respuestas
+ * @param {string} roomCode - Código de la sala
+ */
+function withDisplays(roomCode) {
+    return [roomCode, getDisplayChannel(roomCode)];
+}
+
+/**
+ * Pregunta en curso para las pantallas: vista pública, cuenta atrás y respuestas recibidas
+ * @param {string} roomCode - Código de la sala
+ * @returns {Object|null} Estado o null si no hay pregunta en curso
+ */
+function getDisplayQuestion(roomCode) {
+    const state = gameLogic.getCurrentQuestionState(roomCode, null);
+    if (!state) {
+        return null;
+    }
+
+    return {
+        question: state.question,
+        questionNumber: state.questionNumber,
+        totalQuestions: state.totalQuestions,
+        timeLimit: state.timeLimit,
+        timeRemaining: state.timeRemaining,
+        answers: gameLogic.getLiveAnswerStats(roomCode)
+    };
+}
+
+// ==========================================
+// FLUJO DE RONDAS
+// ==========================================
+
+/**
+ * Enviar la pregunta actual a la sala e iniciar su temporizador en el servidor
+ * @param {string} roomCode - Código de la sala
+ * @param {Object} question - Pregunta ya establecida en GameLogic
+ * @param {number} questionNumber - Número de la pregunta (1-based)
+ */
+function sendQuestion(roomCode, question, questionNumber) {
+    const session = gameLogic.getGameSession(roomCode);
+
+    // Si el tiempo se agota, la ronda se cierra sin esperar a los rezagados
+    gameLogic.startQuestionTimer(roomCode, (roundResults) => {
+        broadcastRoundResults(roomCode, roundResults);
+    });
+
+    // Las pantallas reciben la vista pública (sin respuesta) de la pregunta de la sala
+    io.to(getDisplayChannel(roomCode)).emit('display-question', getDisplayQuestion(roomCode));
+
+    // Modo adaptativo: cada jugador recibe la pregunta de su nivel
+    if (session.settings.adaptiveDifficulty) {
+        const room = roomManager.getRoom(roomCode);
+        (room ? room.players : []).forEach(({ id }) => {
+            const player = playerManager.getPlayer(id);
+            const playerSocket = player && io.sockets.sockets.get(player.socketId);
+            if (playerSocket) {
+                playerSocket.emit('new-question', {
+                    question: questionBank.getPublicQuestion(gameLogic.getPlayerQuestion(roomCode, id)),
+                    questionNumber: questionNumber,
+                    timeLimit: session.settings.questionTime
+                });
+            }
+        });
+        return;
+    }
+
+    // Sin respuesta ni explicación: llegan con `round-results` cuando el host las desvela
+    io.to(roomCode).emit('new-question', {
+        question: questionBank.getPublicQuestion(question),
+        questionNumber: questionNumber,
+        timeLimit: session.settings.questionTime
+    });
+}
+
+/**
+ * Cerrar la ronda si ya respondieron todos los jugadores activos y conectados
+ * @param {string} roomCode - Código de la sala
+ */
+function closeRoundIfComplete(roomCode) {
+    if (gameLogic.allPlayersAnswered(roomCode)) {
+        const roundResults = gameLogic.closeRound(roomCode);
+        if (roundResults) {
+            broadcastRoundResults(roomCode, roundResults);
+        }
+    }
+}
+
+/**
+ * Registrar el cierre de la ronda y emitir sus resultados
+ * Con hostReveal, quedan pendientes hasta que el host los desvele o pase HOST_REVEAL_TIMEOUT;
+ * mientras, la sala y las pantallas solo ven cuántos respondieron y qué eligieron
+ * @param {string} roomCode - Código de la sala
+ * @param {Object} roundResults - Resultados calculados por GameLogic
+ */
+function broadcastRoundResults(roomCode, roundResults) {
+    // Quienes no respondieron cuentan como fallo en sus estadísticas (y pierden la racha)
+    const { category, difficulty } = roundResults.question;
+    roundResults.roundRanking
+        .filter(entry => !entry.answered && playerManager.getPlayer(entry.playerId))
+        .forEach(entry => {
+            playerManager.updatePlayerScore(entry.playerId, entry.pointsEarned, false, 0, category, entry.difficulty || difficulty);
+        });
+
+    // Modo vidas: sincronizar vidas (las eliminaciones se anuncian al desvelar la respuesta)
+    if (roundResults.lives) {
+        roundResults.lives.forEach(({ playerId, lives }) => {
+            playerManager.updatePlayerLives(playerId, lives);
+        });
+    }
+
+    snapshotSession(roomCode);
+
+    // Los duelos del torneo no tienen sala propia (ni host): su resultado se muestra al cerrarse
+    const room = roomManager.getRoom(roomCode);
+    if (!room?.settings.hostReveal) {
+        revealRoundResults(roomCode, roundResults);
+        return;
+    }
+
+    // Si el host no la desvela (desconectado, proyectando o sin ver el aviso), se desvela sola
+    const timer = setTimeout(() => releasePendingReveal(roomCode), HOST_REVEAL_TIMEOUT);
+    pendingReveals.set(roomCode, { roundResults, timer });
+
+    io.to(withDisplays(roomCode)).emit('round-closed', {
+        questionNumber: roundResults.questionNumber,
+        answered: roundResults.stats.playersAnswered,
+        totalPlayers: roundResults.stats.totalPlayers,
+        distribution: roundResults.answerDistribution,
+        autoRevealIn: HOST_REVEAL_TIMEOUT
+    });
+}
+
+/**
+ * Desvelar la ronda pendiente de una sala (por el host o al vencer la espera)
+ * @param {string} roomCode - Código de la sala
+ * @returns {boolean} true si había una ronda pendiente
+ */
+function releasePendingReveal(roomCode) {
+    const pending = pendingReveals.get(roomCode);
+    if (!pending) {
+        return false;
+    }
+
+    clearTimeout(pending.timer);
+    pendingReveals.delete(roomCode);
+
+    if (gameLogic.getGameSession(roomCode)) {
+        revealRoundResults(roomCode, pending.roundResults);
+    }
+
+    return true;
+}
+
+/**
+ * Descartar la ronda pendiente de una sala que se cierra
+ * @param {string} roomCode - Código de la sala
+ */
+function discardPendingReveal(roomCode) {
+    clearTimeout(pendingReveals.get(roomCode)?.timer);
+    pendingReveals.delete(roomCode);
+}
+
+/**
+ * Desvelar la respuesta: emitir resultados de la ronda y programar la siguiente pregunta o el final
+ * @param {string} roomCode - Código de la sala
+ * @param {Object} roundResults - Resultados calculados por GameLogic
+ */
+function revealRoundResults(roomCode, roundResults) {
+    // Modo vidas: avisar de los eliminados (pasan a espectadores)
+    if (roundResults.lives) {
+        roundResults.eliminatedThisRound.forEach(playerId => {
+            const player = playerManager.getPlayer(playerId);
+            io.to(withDisplays(roomCode)).emit('player-eliminated', {
+                playerId: playerId,
+                playerName: player ? player.name : 'Desconocido',
+                remainingPlayers: roundResults.remainingPlayers
+            });
+        });
+    }
+
+    io.to(withDisplays(roomCode)).emit('round-results', roundResults);
+
+    setTimeout(() => advanceGame(roomCode), gameLogic.timingConfig.resultDisplayTime);
+}
+
+/**
+ * Pasar a la siguiente pregunta o terminar el juego
+ * @param {string} roomCode - Código de la sala
+ */
+function advanceGame(roomCode) {
+    if (!gameLogic.getGameSession(roomCode)) {
+        return;
+    }
+
+    const nextQuestion = gameLogic.getNextQuestion(roomCode);
+
+    if (nextQuestion) {
+        sendQuestion(roomCode, nextQuestion.question, nextQuestion.questionNumber);
+    } else {
+        finishGame(roomCode);
+    }
+}
+
+/**
+ * Terminar el juego: emitir resultados finales y guardarlos
+ * @param {string} roomCode - Código de la sala
+ */
+function finishGame(roomCode) {
+    const finalResults = gameLogic.getFinalResults(roomCode);
+
+    // El final de un duelo no termina la sala: avanza el torneo
+    if (matchSessions.has(roomCode)) {
+        finishMatch(roomCode, finalResults);
+    } else {
+        roomManager.updateRoomStatus(roomCode, 'finished');
+        io.to(withDisplays(roomCode)).emit('game-finished', finalResults);
+    }
+
+    // Se guardan también las respuestas individuales para los informes del profesor
+    storage.saveGameResults({ ...finalResults, answerLog: gameLogic.getAnswerLog(roomCode) })
+        .then(() => console.log(`💾 Resultados guardados: ${finalResults.gameId}`))
+        .catch(error => console.error('❌ Error guardando resultados:', error));
+
+    if (SNAPSHOT_SESSIONS) {
+        storage.deleteSessionSnapshot(roomCode)
+            .catch(error => console.error('❌ Error eliminando snapshot:', error));
+    }
+}
+
+// ==========================================
+// MODO TORNEO (DUELOS 1 CONTRA 1)
+// ==========================================
+
+/**
+ * Crear el cuadro de la sala y empezar los duelos de la primera ronda
+ * @param {string} roomCode - Código de la sala
+ */
+function startBracket(roomCode) {
+    const room = roomManager.getRoom(roomCode);
+    const players = room.players.filter(p => !p.isObserver);
+
+    bracketManager.createBracket(roomCode, players, room.settings.questionsPerMatch);
+    roomManager.updateRoomStatus(roomCode, 'playing');
+
+    continueBracket(roomCode);
+}
+
+/**
+ * Emitir el estado del cuadro y empezar los duelos que ya tienen a sus dos jugadores
+ * @param {string} roomCode - Código de la sala
+ */
+function continueBracket(roomCode) {
+    const state = bracketManager.getBracketState(roomCode);
+    if (!state) {
+        return;
+    }
+
+    io.to(withDisplays(roomCode)).emit('bracket-updated', state);
+
+    if (state.status === 'finished') {
+        roomManager.updateRoomStatus(roomCode, 'finished');
+        console.log(`🏆 Torneo terminado en sala ${roomCode}: campeón ${state.champion?.name}`);
+        return;
+    }
+
+    bracketManager.getReadyMatches(roomCode).forEach(match => startMatch(roomCode, match));
+}
+
+/**
+ * Empezar un duelo como sesión corta de GameLogic
+ * @param {string} roomCode - Código de la sala
+ * @param {Object} match - Duelo listo para empezar
+ */
+function startMatch(roomCode, match) {
+    const room = roomManager.getRoom(roomCode);
+    const matchCode = `${roomCode}-${match.id}`;
+    const players = match.playerIds.map(id => playerManager.getPlayer(id)).filter(Boolean);
+
+    bracketManager.startMatch(roomCode, match.id, matchCode);
+    matchSessions.set(matchCode, { roomCode, matchId: match.id });
+
+    // Los duelos son siempre clásicos: sin vidas, equipos ni dificultad adaptativa
+    const session = gameLogic.initializeGame(matchCode, players, {
+        ...room.settings,
+        totalQuestions: room.settings.questionsPerMatch,
+        gameMode: 'classic',
+        adaptiveDifficulty: false,
+        teamMode: false
+    });
+
+    players.forEach(player => {
+        io.sockets.sockets.get(player.socketId)?.join(matchCode);
+    });
+
+    io.to(withDisplays(roomCode)).emit('match-started', {
+        matchId: match.id,
+        matchCode: matchCode,
+        round: match.round,
+        players: players.map(p => ({ id: p.id, name: p.name })),
+        totalQuestions: session.questions.length
+    });
+
+    setTimeout(() => {
+        if (!gameLogic.getGameSession(matchCode)) {
+            return;
+        }
+        const firstQuestion = session.questions[0];
+        gameLogic.setCurrentQuestion(matchCode, firstQuestion);
+        sendQuestion(matchCode, firstQuestion, 1);
+    }, gameLogic.timingConfig.gameStartDelay);
+
+    console.log(`⚔️ Duelo ${match.id} iniciado en sala ${roomCode}: ${players.map(p => p.name).join(' vs ')}`);
+}
+
+/**
+ * Cerrar la sesión de un duelo terminado y hacer avanzar al ganador
+ * @param {string} matchCode - Clave de la sesión del duelo
+ * @param {Object} finalResults - Resultados finales de la sesión
+ */
+function finishMatch(matchCode, finalResults) {
+    const { roomCode, matchId } = matchSessions.get(matchCode);
+    const match = bracketManager.finishMatch(roomCode, matchId, finalResults);
+
+    closeMatchSession(matchCode);
+    emitMatchFinished(roomCode, match, finalResults.gameId);
+    continueBracket(roomCode);
+}
+
+/**
+ * Dar por perdido el torneo a un jugador que sale de la sala (su rival gana el duelo)
+ * @param {string} roomCode - Código de la sala
+ * @param {string} playerId - ID del jugador
+ */
+function withdrawFromBracket(roomCode, playerId) {
+    const match = bracketManager.withdrawPlayer(roomCode, playerId);
+    if (!match) {
+        return;
+    }
+
+    if (match.matchCode) {
+        closeMatchSession(match.matchCode);
+    }
+
+    emitMatchFinished(roomCode, match, null);
+    continueBracket(roomCode);
+}
+
+/**
+ * Cerrar la sesión de GameLogic de un duelo y su canal
+ * @param {string} matchCode - Clave de la sesión del duelo
+ */
+function closeMatchSession(matchCode) {
+    matchSessions.delete(matchCode);
+    gameLogic.closeGameSession(matchCode);
+    io.in(matchCode).socketsLeave(matchCode);
+}
+
+/**
+ * Avisar a la sala del resultado de un duelo
+ * @param {string} roomCode - Código de la sala
+ * @param {Object} match - Duelo terminado
+ * @param {string|null} gameId - ID de los resultados guardados del duelo (null si se ganó sin jugar)
+ */
+function emitMatchFinished(roomCode, match, gameId) {
+    const winner = playerManager.getPlayer(match.winnerId);
+
+    io.to(withDisplays(roomCode)).emit('match-finished', {
+        matchId: match.id,
+        round: match.round,
+        scores: match.scores,
+        winnerId: match.winnerId,
+        winnerName: winner ? winner.name : 'Desconocido',
+        walkover: match.walkover,
+        gameId: gameId
+    });
+}
+
+/**
+ * Eliminar el torneo de una sala y cerrar los duelos que siguieran en juego
+ * @param {string} roomCode - Código de la sala
+ */
+function closeBracket(roomCode) {
+    bracketManager.deleteBracket(roomCode).forEach(closeMatchSession);
+}
+
+/**
+ * Clave de la sesión en la que juega un jugador: la de su duelo en modo torneo, o la de la sala
+ * @param {string} roomCode - Código de la sala
+ * @param {string} playerId - ID del jugador
+ */
+function getPlayerSessionCode(roomCode, playerId) {
+    const match = bracketManager.getPlayerMatch(roomCode, playerId);
+    return match && match.status === 'playing' ? match.matchCode : roomCode;
+}
+
+// ==========================================
+// PERSISTENCIA DE PARTIDAS EN CURSO
+// ==========================================
+
+/**
+ * Guardar snapshot de sala, jugadores y sesión (al iniciar y tras cada ronda)
+ * @param {string} roomCode - Código de la sala
+ */
+function snapshotSession(roomCode) {
+    if (!SNAPSHOT_SESSIONS) {
+        return;
+    }
+
+    const room = roomManager.getRoom(roomCode);
+    const session = gameLogic.exportSession(roomCode);
+    if (!room || !session) {
+        return;
+    }
+
+    const snapshot = {
+        room: roomManager.exportRoom(roomCode),
+        players: room.players.map(p => playerManager.exportPlayer(p.id)).filter(Boolean),
+        session: session,
+        savedAt: new Date()
+    };
+
+    storage.saveSessionSnapshot(roomCode, snapshot)
+        .catch(error => console.error('❌ Error guardando snapshot:', error));
+}
+
+/**
+ * Cargar en el banco de preguntas los conjuntos guardados por el profesor
+ */
+async function loadQuestionSets() {
+    const questionSets = await storage.listQuestionSets();
+    questionSets.forEach(questionSet => questionBank.registerCustomSet(questionSet));
+
+    if (questionSets.length > 0) {
+        console.log(`📝 ${questionSets.length} conjunto(s) de preguntas cargado(s)`);
+    }
+}
+
+/**
+ * Restaurar las partidas guardadas y reanudarlas cuando los clientes se reconecten
+ * Los jugadores quedan desconectados y deben volver con `rejoin-room`
+ */
+async function restoreActiveGames() {
+    if (!SNAPSHOT_SESSIONS) {
+        return;
+    }
+
+    const snapshots = await storage.listSessionSnapshots();
+
+    snapshots.forEach(snapshot => {
+        const players = snapshot.players.map(data => playerManager.restorePlayer(data));
+        const room = roomManager.restoreRoom(snapshot.room, players);
+        gameLogic.restoreSession(snapshot.session, room.players);
+
+        // Sin reconexión dentro del periodo de gracia, el jugador sale de la sala
+        players.forEach(player => {
+            pendingRemovals.set(player.id, setTimeout(() => {
+                removePlayerFromGame(player.id);
+            }, RECONNECT_GRACE_PERIOD));
+        });
+
+        setTimeout(() => resumeGame(room.code), RESUME_DELAY);
+    });
+
+    if (snapshots.length > 0) {
+        console.log(`♻️ ${snapshots.length} partida(s) restaurada(s); se reanudarán en ${RESUME_DELAY / 1000}s`);
+    }
+}
+
+/**
+ * Reanudar una partida restaurada
+ * Los snapshots se toman entre rondas, así que se repite la pregunta pendiente
+ * @param {string} roomCode - Código de la sala
+ */
+function resumeGame(roomCode) {
+    const session = gameLogic.getGameSession(roomCode);
+    if (!session) {
+        return;
+    }
+
+    if (session.status === 'showing_results') {
+        advanceGame(roomCode);
+        return;
+    }
+
+    const question = session.questions[session.currentQuestionIndex];
+    gameLogic.setCurrentQuestion(roomCode, question);
+    sendQuestion(roomCode, question, session.currentQuestionIndex + 1);
+}
+
+// ==========================================
+// TAREAS PARA CASA
+// ==========================================
+
+/**
+ * Guardar una tarea con el progreso de sus alumnos
+ * Las escrituras de una misma tarea se encadenan para que la última respuesta no quede pisada
+ * @param {string} code - Código de la tarea
+ */
+function saveAssignment(code) {
+    const previous = assignmentSaves.get(code) || Promise.resolve();
+
+    const next = previous
+        .then(() => {
+            const data = assignmentManager.exportAssignment(code);
+            return data && storage.saveAssignment(data);
+        })
+        .catch(error => console.error('❌ Error guardando tarea:', error))
+        .finally(() => {
+            if (assignmentSaves.get(code) === next) {
+                assignmentSaves.delete(code);
+            }
+        });
+
+    assignmentSaves.set(code, next);
+}
+
+/**
+ * Guardar una tarea cerrada y sus resultados finales (para los informes del profesor)
+ * @param {Object} assignment - Tarea cerrada
+ */
+function finishAssignment(assignment) {
+    saveAssignment(assignment.code);
+
+    const finalResults = assignmentManager.getFinalResults(assignment.code);
+    storage.saveGameResults(finalResults)
+        .then(() => console.log(`💾 Resultados de la tarea guardados: ${finalResults.gameId}`))
+        .catch(error => console.error('❌ Error guardando resultados de la tarea:', error));
+}
+
+/**
+ * Cerrar las tareas vencidas (también las que vencieron con el servidor apagado)
+ */
+function closeExpiredAssignments() {
+    assignmentManager.closeExpiredAssignments().forEach(finishAssignment);
+}
+
+/**
+ * Cargar las tareas guardadas
+ */
+async function loadAssignments() {
+    const assignments = await storage.listAssignments();
+    assignments.forEach(data => assignmentManager.restoreAssignment(data));
+
+    if (assignments.length > 0) {
+        console.log(`📚 ${assignments.length} tarea(s) cargada(s)`);
+    }
+
+    closeExpiredAssignments();
+}
+
+/**
+ * Obtener la tarea del socket (unido con `join-assignment`)
+ * @param {Socket} socket - Socket del alumno
+ */
+function requireAssignment(socket) {
+    if (!socket.data.assignment) {
+        throw new Error('Únete a una tarea primero');
+    }
+    return socket.data.assignment;
+}
+
+// ==========================================
+// DESCONEXIÓN Y RECONEXIÓN
+// ==========================================
+
+/**
+ * Sacar definitivamente a un jugador de su sala (al vencer el periodo de gracia)
+ * @param {string} playerId - ID estable del jugador
+ */
+function removePlayerFromGame(playerId) {
+    pendingRemovals.delete(playerId);
+
+    const player = playerManager.getPlayer(playerId);
+    if (!player) {
+        return;
+    }
+
+    // Encontrar la sala del jugador
+    const room = roomManager.findRoomByPlayerId(playerId);
+
+    if (room) {
+        // Remover jugador de la sala (en modo torneo, su rival gana el duelo)
+        roomManager.removePlayerFromRoom(room.code, playerId);
+        withdrawFromBracket(room.code, playerId);
+
+        // Notificar a otros jugadores
+        io.to(withDisplays(room.code)).emit('player-disconnected', {
+            playerId: playerId,
+            playerName: player.name,
+            totalPlayers: room.players.length,
+            temporary: false
+        });
+        broadcastTeams(room.code);
+
+        // Si era el host, transferir a otro jugador o cerrar sala
+        if (player.isHost) {
+            if (room.players.length > 0) {
+                // Transferir host al primer jugador disponible
+                const newHost = room.players[0];
+                playerManager.setAsHost(newHost.id);
+
+                io.to(withDisplays(room.code)).emit('host-changed', {
+                    newHost: newHost.name,
+                    pendingReveal: pendingReveals.has(room.code)
+                });
+            } else {
+                // Cerrar sala si no quedan jugadores
+                closeBracket(room.code);
+                gameLogic.closeGameSession(room.code);
+                discardPendingReveal(room.code);
+                roomManager.closeRoom(room.code);
+
+                if (SNAPSHOT_SESSIONS) {
+                    storage.deleteSessionSnapshot(room.code)
+                        .catch(error => console.error('❌ Error eliminando snapshot:', error));
+                }
+            }
+        }
+    }
+
+    // Remover jugador del manager
+    playerManager.removePlayer(playerId);
+}
+
+// ==========================================
+// CONTROLES DEL HOST
+// ==========================================
+
+/**
+ * Verificar que quien envía el evento es el host de la sala
+ * @param {Object} socket - Socket que envía el evento
+ * @param {string} roomCode - Código de la sala
+ * @returns {Object} { room, host }
+ */
+function requireHost(socket, roomCode) {
+    const room = roomManager.getRoom(roomCode);
+    if (!room) {
+        throw new Error('Sala no encontrada');
+    }
+
+    const host = playerManager.getPlayer(socket.data.playerId);
+    if (!host || !host.isHost || !room.players.some(p => p.id === host.id)) {
+        throw new Error('Solo el host puede realizar esta acción');
+    }
+
+    return { room, host };
+}
+
+/**
+ * Enviar a la sala la composición de los equipos (solo modo equipos)
+ * @param {string} roomCode - Código de la sala
+ */
+function broadcastTeams(roomCode) {
+    const room = roomManager.getRoom(roomCode);
+    if (room && room.settings.teamMode) {
+        io.to(withDisplays(roomCode)).emit('teams-updated', { teams: room.teams });
+    }
+}
+
+/**
+ * Enviar un error al cliente con su código (los de validación indican además el campo)
+ * @param {Socket} socket - Socket del cliente
+ * @param {Error} error - Error capturado
+ */
+function emitError(socket, error) {
+    socket.emit('error', {
+        code: error.code || 'REQUEST_FAILED',
+        message: error.message,
+        field: error.field || null
+    });
+}
+
 /**
  * MANEJO DE CONEXIONES SOCKET.IO
  */
 io.on('connection', (socket) => {
     console.log(`🔌 Usuario conectado: ${socket.id}`);
 
-    // ==========================================
-    // EVENTOS DE GESTIÓN DE SALAS
-    // ==========================================
-    
+    // Validar los datos de cada evento antes de que lleguen a su manejador:
+    // los manejadores reciben solo los campos del esquema, ya normalizados
+    socket.use((packet, next) => {
+        try {
+            packet[1] = eventValidator.validate(packet[0], packet[1]);
+            next();
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    // ==========================================
+    // EVENTOS DE GESTIÓN DE SALAS
+    // ==========================================
+    
+    /**
+     * Crear una nueva sala de juego
+     */
+    socket.on('create-room', (playerData) => {
+        try {
+            const { playerName, gameSettings, hostPlays = true } = playerData;
+
+            // Crear sala y añadir jugador como host
+            const room = roomManager.createRoom(socket.id, gameSettings);
+            const player = playerManager.createPlayer(socket.id, playerName, true);
+            socket.data.playerId = player.id;
+
+            // Si el host eligió no jugar, marcarlo como observador
+            if (!hostPlays) {
+                player.isObserver = true;
+            }
+
+            // Unir jugador a la sala
+            socket.join(room.code);
+            roomManager.addPlayerToRoom(room.code, player);
+            
+            // Notificar éxito al creador
+            socket.emit('room-created', {
+                roomCode: room.code,
+                player: player,
+                room: roomManager.getRoomState(room.code, true),
+                reconnectToken: playerManager.getReconnectToken(player.id),
+                displayToken: roomManager.getDisplayToken(room.code)
+            });
+            
+            console.log(`🏠 Sala creada: ${room.code} por ${playerName}`);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Unirse a una sala existente
+     */
+    socket.on('join-room', (playerData) => {
+        try {
+            const { playerName, roomCode, reconnectToken } = playerData;
+            
+            // Verificar que la sala existe
+            const room = roomManager.getRoom(roomCode);
+            if (!room) {
+                throw new Error('Sala no encontrada');
+            }
+            
+            // Verificar capacidad de la sala
+            if (room.players.length >= room.maxPlayers) {
+                throw new Error('Sala llena');
+            }
+            
+            // Verificar que el host no haya cerrado la sala ni vetado al jugador
+            if (room.isLocked) {
+                throw new Error('La sala está cerrada a nuevos jugadores');
+            }
+            if (roomManager.isPlayerBanned(roomCode, { playerName, reconnectToken })) {
+                throw new Error('Has sido expulsado de esta sala');
+            }
+            
+            // Crear jugador y añadirlo a la sala
+            const player = playerManager.createPlayer(socket.id, playerName, false);
+            socket.data.playerId = player.id;
+            socket.join(roomCode);
+            roomManager.addPlayerToRoom(roomCode, player);
+            
+            // Notificar al jugador que se unió
+            socket.emit('room-joined', {
+                roomCode: roomCode,
+                player: player,
+                room: roomManager.getRoomState(room.code),
+                reconnectToken: playerManager.getReconnectToken(player.id)
+            });
+            
+            // Notificar a todos los jugadores en la sala
+            io.to(withDisplays(roomCode)).emit('player-joined', {
+                player: player,
+                totalPlayers: room.players.length
+            });
+            broadcastTeams(roomCode);
+            
+            console.log(`👤 ${playerName} se unió a la sala ${roomCode}`);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Volver a una sala tras una desconexión usando el token de reconexión
+     */
+    socket.on('rejoin-room', (rejoinData) => {
+        try {
+            const { roomCode, reconnectToken } = rejoinData;
+            
+            const room = roomManager.getRoom(roomCode);
+            if (!room) {
+                throw new Error('Sala no encontrada');
+            }
+            
+            // Restaurar al jugador (puntuación y racha se conservan) en el nuevo socket
+            if (roomManager.isPlayerBanned(roomCode, { reconnectToken })) {
+                throw new Error('Has sido expulsado de esta sala');
+            }
+            
+            const player = playerManager.reconnectPlayer(reconnectToken, socket.id);
+            if (!room.players.find(p => p.id === player.id)) {
+                throw new Error('El jugador no pertenece a esta sala');
+            }
+            
+            // Cancelar la remoción pendiente
+            clearTimeout(pendingRemovals.get(player.id));
+            pendingRemovals.delete(player.id);
+            
+            socket.data.playerId = player.id;
+            socket.join(roomCode);
+            
+            // En modo torneo, volver también al canal de su duelo en curso
+            const sessionCode = getPlayerSessionCode(roomCode, player.id);
+            socket.join(sessionCode);
+            
+            // Enviar el estado actual, incluida la pregunta en curso si la hay
+            socket.emit('room-rejoined', {
+                roomCode: roomCode,
+                player: player,
+                room: roomManager.getRoomState(roomCode, player.isHost),
+                currentQuestion: gameLogic.getCurrentQuestionState(sessionCode, player.id),
+                matchCode: sessionCode !== roomCode ? sessionCode : null,
+                bracket: bracketManager.getBracketState(roomCode),
+                pendingReveal: pendingReveals.has(roomCode),
+                displayToken: player.isHost ? roomManager.getDisplayToken(roomCode) : null
+            });
+            
+            socket.to(roomCode).emit('player-reconnected', {
+                playerId: player.id,
+                playerName: player.name,
+                totalPlayers: room.players.length
+            });
+            
+            console.log(`🔁 ${player.name} volvió a la sala ${roomCode}`);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    // ==========================================
+    // EVENTOS DE CONTROL DEL HOST
+    // ==========================================
+    
+    /**
+     * Cambiar la configuración de la sala (solo en el lobby)
+     */
+    socket.on('update-settings', (data) => {
+        try {
+            const { roomCode, settings } = data;
+            const { room } = requireHost(socket, roomCode);
+            
+            roomManager.updateRoomSettings(roomCode, settings);
+            
+            // Solo el host recibe la semilla y el conjunto de preguntas
+            const update = { maxPlayers: room.maxPlayers, teams: room.teams };
+            socket.emit('settings-updated', { ...update, settings: room.settings });
+            socket.to(withDisplays(roomCode)).emit('settings-updated', {
+                ...update,
+                settings: roomManager.getPublicSettings(room.settings)
+            });
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Expulsar (y opcionalmente vetar) a un jugador
+     */
+    socket.on('kick-player', (data) => {
+        try {
+            const { roomCode, playerId, ban = false } = data;
+            const { room, host } = requireHost(socket, roomCode);
+            
+            if (playerId === host.id) {
+                throw new Error('El host no puede expulsarse a sí mismo');
+            }
+            
+            const target = room.players.find(p => p.id === playerId);
+            if (!target) {
+                throw new Error('Jugador no encontrado en la sala');
+            }
+            
+            if (ban) {
+                roomManager.banPlayer(roomCode, target, playerManager.getReconnectToken(target.id));
+            }
+            
+            // Avisar al expulsado y sacarlo del canal de la sala
+            const targetSocket = io.sockets.sockets.get(target.socketId);
+            if (targetSocket) {
+                targetSocket.emit('kicked', { roomCode: roomCode, banned: !!ban });
+                targetSocket.leave(roomCode);
+                targetSocket.data.playerId = null;
+            }
+            
+            clearTimeout(pendingRemovals.get(target.id));
+            pendingRemovals.delete(target.id);
+            
+            roomManager.removePlayerFromRoom(roomCode, target.id);
+            gameLogic.removePlayerFromSession(roomCode, target.id);
+            withdrawFromBracket(roomCode, target.id);
+            playerManager.removePlayer(target.id);
+            
+            io.to(withDisplays(roomCode)).emit('player-kicked', {
+                playerId: target.id,
+                playerName: target.name,
+                banned: !!ban,
+                totalPlayers: room.players.length
+            });
+            broadcastTeams(roomCode);
+            
+            // Si la ronda solo esperaba al expulsado, cerrarla
+            closeRoundIfComplete(roomCode);
+            
+            console.log(`🚫 ${target.name} expulsado de la sala ${roomCode}${ban ? ' (vetado)' : ''}`);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Obtener el token de la pantalla de proyección (p. ej. tras heredar el rol de host)
+     */
+    socket.on('get-display-token', (data) => {
+        try {
+            const { roomCode } = data;
+            requireHost(socket, roomCode);
+            
+            socket.emit('display-token', {
+                roomCode: roomCode,
+                displayToken: roomManager.getDisplayToken(roomCode)
+            });
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
     /**
-     * Crear una nueva sala de juego
+     * Bloquear o desbloquear la entrada de nuevos jugadores
      */
-    socket.on('create-room', (playerData) => {
+    socket.on('lock-room', (data) => {
         try {
-            const { playerName, gameSettings, hostPlays = true } = playerData;
-
-            // Crear sala y añadir jugador como host
-            const room = roomManager.createRoom(socket.id, gameSettings);
-            const player = playerManager.createPlayer(socket.id, playerName, true);
-
-            // Si el host eligió no jugar, marcarlo como observador
-            if (!hostPlays) {
-                player.isObserver = true;
-            }
-
-            // Unir jugador a la sala
-            socket.join(room.code);
-            roomManager.addPlayerToRoom(room.code, player);
+            const { roomCode, locked } = data;
+            const { room } = requireHost(socket, roomCode);
             
-            // Notificar éxito al creador
-            socket.emit('room-created', {
-                roomCode: room.code,
-                player: player,
-                room: room
-            });
+            roomManager.setRoomLocked(roomCode, locked);
             
-            console.log(`🏠 Sala creada: ${room.code} por ${playerName}`);
+            io.to(withDisplays(roomCode)).emit('room-lock-changed', {
+                locked: room.isLocked
+            });
             
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitError(socket, error);
         }
     });
 
     /**
-     * Unirse a una sala existente
+     * Reequilibrar los equipos mezclando a todos los jugadores
      */
-    socket.on('join-room', (playerData) => {
+    socket.on('balance-teams', (data) => {
         try {
-            const { playerName, roomCode } = playerData;
+            const { roomCode } = data;
+            const { room } = requireHost(socket, roomCode);
             
-            // Verificar que la sala existe
-            const room = roomManager.getRoom(roomCode);
-            if (!room) {
-                throw new Error('Sala no encontrada');
+            if (room.status !== 'waiting') {
+                throw new Error('Solo se pueden reequilibrar los equipos antes de empezar');
             }
             
-            // Verificar capacidad de la sala
-            if (room.players.length >= room.maxPlayers) {
-                throw new Error('Sala llena');
+            roomManager.balanceTeams(roomCode, true);
+            broadcastTeams(roomCode);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Desvelar la respuesta de la ronda cerrada y seguir con la partida
+     */
+    socket.on('reveal-answer', (data) => {
+        try {
+            const { roomCode } = data;
+            requireHost(socket, roomCode);
+            
+            if (!releasePendingReveal(roomCode)) {
+                throw new Error('No hay ninguna ronda pendiente de desvelar');
             }
             
-            // Crear jugador y añadirlo a la sala
-            const player = playerManager.createPlayer(socket.id, playerName, false);
-            socket.join(roomCode);
-            roomManager.addPlayerToRoom(roomCode, player);
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Volver al lobby con los mismos jugadores para jugar otra partida
+     */
+    socket.on('play-again', (data) => {
+        try {
+            const { roomCode } = data;
+            const { room } = requireHost(socket, roomCode);
             
-            // Notificar al jugador que se unió
-            socket.emit('room-joined', {
-                roomCode: roomCode,
-                player: player,
-                room: room
+            if (room.status !== 'finished') {
+                throw new Error('La partida actual aún no ha terminado');
+            }
+            
+            // Descartar la sesión (o el torneo) anterior y reiniciar las estadísticas de cada jugador
+            closeBracket(roomCode);
+            gameLogic.closeGameSession(roomCode);
+            room.players.forEach(player => {
+                playerManager.resetPlayerGameStats(player.id);
             });
+            roomManager.resetRoomForNewGame(roomCode);
             
-            // Notificar a todos los jugadores en la sala
-            io.to(roomCode).emit('player-joined', {
-                player: player,
-                totalPlayers: room.players.length
+            socket.emit('game-reset', { players: room.players, settings: room.settings });
+            socket.to(withDisplays(roomCode)).emit('game-reset', {
+                players: room.players,
+                settings: roomManager.getPublicSettings(room.settings)
             });
             
-            console.log(`👤 ${playerName} se unió a la sala ${roomCode}`);
+            console.log(`🔄 Sala ${roomCode} lista para otra partida`);
             
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitError(socket, error);
         }
     });
 
@@ -135,6 +1138,26 @@ io.on('connection', (socket) => {
     // EVENTOS DE LÓGICA DEL JUEGO
     // ==========================================
     
+    /**
+     * Unirse a un equipo en el lobby (modo equipos)
+     */
+    socket.on('join-team', (data) => {
+        try {
+            const { roomCode, teamId } = data;
+            const player = playerManager.getPlayer(socket.data.playerId);
+            
+            if (!player) {
+                throw new Error('Jugador no encontrado');
+            }
+            
+            roomManager.joinTeam(roomCode, player.id, teamId);
+            broadcastTeams(roomCode);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+    
     /**
      * Iniciar juego (solo el host puede hacerlo)
      */
@@ -148,42 +1171,61 @@ io.on('connection', (socket) => {
             }
             
             // Verificar que el usuario es el host
-            const player = playerManager.getPlayer(socket.id);
+            const player = playerManager.getPlayer(socket.data.playerId);
             if (!player || !player.isHost) {
                 throw new Error('Solo el host puede iniciar el juego');
             }
             
+            // Verificar que la sala esté esperando para empezar
+            if (room.status !== 'waiting') {
+                throw new Error('El juego ya fue iniciado en esta sala');
+            }
+            
             // Verificar mínimo de jugadores
             if (room.players.length < 2) {
                 throw new Error('Se necesitan al menos 2 jugadores para iniciar');
             }
             
-            // Inicializar lógica del juego
-            gameLogic.initializeGame(roomCode, room.players);
+            // Modo torneo: cada duelo es una sesión propia
+            if (room.settings.gameMode === 'bracket') {
+                startBracket(roomCode);
+                console.log(`🎮 Torneo iniciado en sala ${roomCode}`);
+                return;
+            }
+            
+            // Colocar en un equipo a quien aún no tenga uno
+            if (room.settings.teamMode) {
+                roomManager.balanceTeams(roomCode);
+            }
+            
+            // Inicializar lógica del juego con la configuración elegida al crear la sala
+            const session = gameLogic.initializeGame(roomCode, room.players, room.settings, room.teams);
+            roomManager.updateRoomStatus(roomCode, 'playing');
+            snapshotSession(roomCode);
             
-            // Obtener primera pregunta
-            const firstQuestion = questionBank.getRandomQuestion();
-            gameLogic.setCurrentQuestion(roomCode, firstQuestion);
+            // La primera pregunta sale del conjunto generado para la sesión
+            const firstQuestion = session.questions[0];
             
             // Notificar inicio del juego a todos los jugadores
-            io.to(roomCode).emit('game-started', {
+            io.to(withDisplays(roomCode)).emit('game-started', {
                 message: 'El juego está comenzando...',
-                totalQuestions: room.settings.totalQuestions
+                totalQuestions: session.questions.length,
+                teams: session.teams
             });
             
-            // Enviar primera pregunta después de 3 segundos
+            // Enviar primera pregunta después de 3 segundos (el reloj empieza al enviarla)
             setTimeout(() => {
-                io.to(roomCode).emit('new-question', {
-                    question: firstQuestion,
-                    questionNumber: 1,
-                    timeLimit: room.settings.questionTime
-                });
-            }, 3000);
+                if (!gameLogic.getGameSession(roomCode)) {
+                    return;
+                }
+                gameLogic.setCurrentQuestion(roomCode, firstQuestion);
+                sendQuestion(roomCode, firstQuestion, 1);
+            }, gameLogic.timingConfig.gameStartDelay);
             
             console.log(`🎮 Juego iniciado en sala ${roomCode}`);
             
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitError(socket, error);
         }
     });
 
@@ -192,52 +1234,168 @@ io.on('connection', (socket) => {
      */
     socket.on('submit-answer', (answerData) => {
         try {
-            const { roomCode, answer, timeRemaining } = answerData;
-            const player = playerManager.getPlayer(socket.id);
+            // El tiempo restante lo calcula el servidor; se ignora el enviado por el cliente
+            const { roomCode, answer } = answerData;
+            const player = playerManager.getPlayer(socket.data.playerId);
             
             if (!player) {
                 throw new Error('Jugador no encontrado');
             }
             
+            // En modo torneo se responde en el propio duelo (vale el código de la sala o el del duelo)
+            const match = matchSessions.get(roomCode);
+            const sessionCode = getPlayerSessionCode(match ? match.roomCode : roomCode, player.id);
+            if (match && sessionCode !== roomCode) {
+                throw new Error('No participas en este duelo');
+            }
+            
             // Procesar respuesta
-            const result = gameLogic.processAnswer(roomCode, player.id, answer, timeRemaining);
+            const result = gameLogic.processAnswer(sessionCode, player.id, answer);
             
-            // Actualizar puntuación del jugador
-            playerManager.updatePlayerScore(player.id, result.pointsEarned);
+            // Actualizar puntuación y estadísticas del jugador
+            const update = playerManager.updatePlayerScore(
+                player.id,
+                result.pointsEarned,
+                result.isCorrect,
+                result.responseTime,
+                result.category,
+                result.difficulty
+            );
             
             // Notificar al jugador sobre su respuesta
             socket.emit('answer-result', {
                 correct: result.isCorrect,
+                credit: result.credit,
                 pointsEarned: result.pointsEarned,
-                totalScore: playerManager.getPlayer(player.id).score
+                scoreBreakdown: result.scoreBreakdown,
+                streak: update.currentStreak,
+                totalScore: update.newScore
             });
             
-            // Verificar si todos han respondido
-            if (gameLogic.allPlayersAnswered(roomCode)) {
-                // Enviar resultados de la ronda
-                const roundResults = gameLogic.getRoundResults(roomCode);
-                io.to(roomCode).emit('round-results', roundResults);
-                
-                // Continuar con siguiente pregunta o finalizar juego
-                setTimeout(() => {
-                    const nextQuestion = gameLogic.getNextQuestion(roomCode);
-                    
-                    if (nextQuestion) {
-                        io.to(roomCode).emit('new-question', {
-                            question: nextQuestion.question,
-                            questionNumber: nextQuestion.questionNumber,
-                            timeLimit: roomManager.getRoom(roomCode).settings.questionTime
-                        });
-                    } else {
-                        // Juego terminado
-                        const finalResults = gameLogic.getFinalResults(roomCode);
-                        io.to(roomCode).emit('game-finished', finalResults);
-                    }
-                }, 5000);
+            // Las pantallas ven cuántos respondieron y qué eligieron, no quién acertó
+            io.to(getDisplayChannel(sessionCode)).emit('display-answers', gameLogic.getLiveAnswerStats(sessionCode));
+            
+            // Si todos respondieron, cerrar la ronda sin esperar al temporizador
+            closeRoundIfComplete(sessionCode);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    // ==========================================
+    // EVENTOS DE PANTALLA DE PROYECCIÓN
+    // ==========================================
+
+    /**
+     * Conectar una pantalla de proyección (solo lectura) con el token que recibió el host
+     * La pantalla no es un jugador: no aparece en la sala ni puede responder
+     */
+    socket.on('join-display', (data) => {
+        try {
+            const { roomCode, displayToken } = data;
+            const room = roomManager.getRoom(roomCode);
+            
+            if (!room || !roomManager.isValidDisplayToken(roomCode, displayToken)) {
+                throw new Error('Sala o token de pantalla no válidos');
             }
             
+            socket.join(getDisplayChannel(roomCode));
+            socket.data.displayRoom = roomCode;
+            
+            socket.emit('display-joined', {
+                roomCode: roomCode,
+                room: roomManager.getRoomPublicInfo(roomCode),
+                players: room.players
+                    .filter(p => !p.isObserver)
+                    .map(p => ({ id: p.id, name: p.name, score: p.score })),
+                teams: room.teams,
+                currentQuestion: getDisplayQuestion(roomCode),
+                bracket: bracketManager.getBracketState(roomCode)
+            });
+            
+            console.log(`📺 Pantalla conectada a la sala ${roomCode}`);
+            
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    // ==========================================
+    // EVENTOS DE TAREAS PARA CASA
+    // ==========================================
+
+    /**
+     * Unirse a una tarea (o continuarla con el studentToken recibido al unirse)
+     */
+    socket.on('join-assignment', (data) => {
+        try {
+            const { assignmentCode, playerName, studentToken } = data;
+            const code = String(assignmentCode || '').toUpperCase();
+
+            const student = assignmentManager.joinAssignment(code, playerName, studentToken);
+            const assignment = assignmentManager.getAssignment(code);
+            socket.data.assignment = { code, studentId: student.id };
+            saveAssignment(code);
+
+            socket.emit('assignment-joined', {
+                assignmentCode: code,
+                name: assignment.name,
+                deadline: assignment.deadline,
+                totalQuestions: assignment.questions.length,
+                timeLimit: assignment.settings.questionTime,
+                studentId: student.id,
+                studentName: student.name,
+                studentToken: student.token,
+                progress: student.answers.length,
+                totalScore: student.score,
+                finished: !!student.finishedAt
+            });
+
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Pedir la pregunta actual de la tarea (su plazo empieza al pedirla por primera vez)
+     */
+    socket.on('assignment-next-question', () => {
+        try {
+            const { code, studentId } = requireAssignment(socket);
+            const current = assignmentManager.getCurrentQuestion(code, studentId);
+            saveAssignment(code);
+
+            if (!current) {
+                const student = assignmentManager.getAssignment(code).students.get(studentId);
+                socket.emit('assignment-finished', {
+                    totalScore: student.score,
+                    correctAnswers: student.answers.filter(a => a.isCorrect).length,
+                    totalQuestions: student.answers.length
+                });
+                return;
+            }
+
+            socket.emit('assignment-question', current);
+
+        } catch (error) {
+            emitError(socket, error);
+        }
+    });
+
+    /**
+     * Responder la pregunta actual de la tarea (el tiempo lo mide el servidor)
+     */
+    socket.on('assignment-answer', (data) => {
+        try {
+            const { code, studentId } = requireAssignment(socket);
+            const result = assignmentManager.submitAnswer(code, studentId, data?.answer);
+            saveAssignment(code);
+
+            socket.emit('assignment-answer-result', result);
+
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitError(socket, error);
         }
     });
 
@@ -252,41 +1410,35 @@ io.on('connection', (socket) => {
         console.log(`🔌 Usuario desconectado: ${socket.id}`);
         
         try {
-            const player = playerManager.getPlayer(socket.id);
-            if (player) {
-                // Encontrar la sala del jugador
-                const room = roomManager.findRoomByPlayerId(socket.id);
-                
-                if (room) {
-                    // Remover jugador de la sala
-                    roomManager.removePlayerFromRoom(room.code, socket.id);
-                    
-                    // Notificar a otros jugadores
-                    io.to(room.code).emit('player-disconnected', {
-                        playerName: player.name,
-                        totalPlayers: room.players.length
-                    });
-                    
-                    // Si era el host, transferir a otro jugador o cerrar sala
-                    if (player.isHost) {
-                        if (room.players.length > 0) {
-                            // Transferir host al primer jugador disponible
-                            const newHost = room.players[0];
-                            playerManager.setAsHost(newHost.id);
-                            
-                            io.to(room.code).emit('host-changed', {
-                                newHost: newHost.name
-                            });
-                        } else {
-                            // Cerrar sala si no quedan jugadores
-                            roomManager.closeRoom(room.code);
-                        }
-                    }
-                }
-                
-                // Remover jugador del manager
-                playerManager.removePlayer(socket.id);
+            const player = playerManager.getPlayer(socket.data.playerId);
+            
+            // Ignorar sockets antiguos de un jugador que ya se reconectó con otro
+            if (!player || player.socketId !== socket.id) {
+                return;
             }
+            
+            const room = roomManager.findRoomByPlayerId(player.id);
+            if (!room) {
+                playerManager.removePlayer(player.id);
+                return;
+            }
+            
+            // Mantener al jugador (y su puntuación) durante el periodo de gracia
+            playerManager.markDisconnected(player.id);
+            pendingRemovals.set(player.id, setTimeout(() => {
+                removePlayerFromGame(player.id);
+            }, RECONNECT_GRACE_PERIOD));
+            
+            io.to(withDisplays(room.code)).emit('player-disconnected', {
+                playerId: player.id,
+                playerName: player.name,
+                totalPlayers: room.players.length,
+                temporary: true,
+                gracePeriod: RECONNECT_GRACE_PERIOD
+            });
+            
+            // Si solo faltaba este jugador por responder, cerrar la ronda (la de su duelo en modo torneo)
+            closeRoundIfComplete(getPlayerSessionCode(room.code, player.id));
         } catch (error) {
             console.error('Error en desconexión:', error);
         }
@@ -309,7 +1461,7 @@ io.on('connection', (socket) => {
                 });
             }
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitError(socket, error);
         }
     });
 
@@ -320,15 +1472,19 @@ io.on('connection', (socket) => {
         try {
             const room = roomManager.getRoom(roomCode);
             if (room) {
+                const requester = playerManager.getPlayer(socket.data.playerId);
+                const isHost = !!requester?.isHost && room.players.some(p => p.id === requester.id);
+                
                 socket.emit('room-stats', {
                     playersCount: room.players.length,
                     maxPlayers: room.maxPlayers,
                     gameStatus: room.status,
-                    settings: room.settings
+                    settings: isHost ? room.settings : roomManager.getPublicSettings(room.settings),
+                    scoringRules: scoringEngine.resolveRules(room.settings.scoring)
                 });
             }
         } catch (error) {
-            socket.emit('error', { message: error.message });
+            emitError(socket, error);
         }
     });
 });
@@ -360,10 +1516,240 @@ app.get('/api/stats', (req, res) => {
     });
 });
 
+/**
+ * Listar partidas terminadas guardadas
+ */
+app.get('/api/games', async (req, res) => {
+    try {
+        const games = await storage.listGameResults();
+        res.json(games.map(game => ({
+            gameId: game.gameId,
+            roomCode: game.roomCode,
+            finishedAt: game.finishedAt,
+            totalPlayers: game.totalPlayers,
+            totalQuestions: game.totalQuestions,
+            winner: game.winner
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Obtener resultados completos de una partida terminada
+ */
+app.get('/api/games/:id', async (req, res) => {
+    try {
+        const results = await storage.getGameResults(req.params.id);
+        if (!results) {
+            return res.status(404).json({ error: 'Partida no encontrada' });
+        }
+        res.json(results);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Informe para el profesor de una partida terminada
+ * Query: format=json|csv (por defecto json), table=students|questions (solo CSV)
+ */
+app.get('/api/games/:id/report', async (req, res) => {
+    try {
+        const { format = 'json', table = 'students' } = req.query;
+        
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'Formato no soportado (usa json o csv)' });
+        }
+        if (!['students', 'questions'].includes(table)) {
+            return res.status(400).json({ error: 'Tabla no soportada (usa students o questions)' });
+        }
+        
+        const results = await storage.getGameResults(req.params.id);
+        if (!results) {
+            return res.status(404).json({ error: 'Partida no encontrada' });
+        }
+        
+        const report = reportGenerator.buildReport(results);
+        
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${report.gameId}-${table}.csv"`);
+            return res.send(reportGenerator.toCsv(report, table));
+        }
+        
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Listar categorías de preguntas disponibles
+ */
+app.get('/api/categories', (req, res) => {
+    res.json(questionBank.getCategories());
+});
+
+/**
+ * Listar conjuntos de preguntas del profesor
+ */
+app.get('/api/question-sets', (req, res) => {
+    res.json(questionBank.listCustomSets());
+});
+
+/**
+ * Validar un conjunto de preguntas sin guardarlo
+ */
+app.post('/api/question-sets/validate', (req, res) => {
+    const result = questionBank.validateQuestionSet(req.body);
+    res.status(result.valid ? 200 : 400).json(result);
+});
+
+/**
+ * Obtener un conjunto de preguntas en su vista pública
+ * Sin respuestas ni explicaciones: la ruta no tiene autenticación y los alumnos podrían consultarla en plena partida
+ */
+app.get('/api/question-sets/:id', (req, res) => {
+    const questionSet = questionBank.getCustomSet(req.params.id);
+    if (!questionSet) {
+        return res.status(404).json({ error: 'Conjunto de preguntas no encontrado' });
+    }
+    res.json({
+        ...questionSet,
+        questions: questionSet.questions.map(question => questionBank.getPublicQuestion(question))
+    });
+});
+
+/**
+ * Crear un conjunto de preguntas
+ */
+app.post('/api/question-sets', async (req, res) => {
+    const { valid, errors } = questionBank.validateQuestionSet(req.body);
+    if (!valid) {
+        return res.status(400).json({ error: 'Conjunto de preguntas inválido', errors });
+    }
+
+    try {
+        const questionSet = questionBank.createCustomSet(req.body);
+        await storage.saveQuestionSet(questionSet);
+        res.status(201).json(questionSet);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Reemplazar un conjunto de preguntas existente
+ */
+app.put('/api/question-sets/:id', async (req, res) => {
+    if (!questionBank.getCustomSet(req.params.id)) {
+        return res.status(404).json({ error: 'Conjunto de preguntas no encontrado' });
+    }
+
+    const { valid, errors } = questionBank.validateQuestionSet(req.body);
+    if (!valid) {
+        return res.status(400).json({ error: 'Conjunto de preguntas inválido', errors });
+    }
+
+    try {
+        const questionSet = questionBank.createCustomSet(req.body, req.params.id);
+        await storage.saveQuestionSet(questionSet);
+        res.json(questionSet);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Eliminar un conjunto de preguntas
+ */
+app.delete('/api/question-sets/:id', async (req, res) => {
+    if (!questionBank.deleteCustomSet(req.params.id)) {
+        return res.status(404).json({ error: 'Conjunto de preguntas no encontrado' });
+    }
+
+    try {
+        await storage.deleteQuestionSet(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Listar tareas para casa (resumen)
+ */
+app.get('/api/assignments', (req, res) => {
+    closeExpiredAssignments();
+    res.json(assignmentManager.listAssignments());
+});
+
+/**
+ * Crear una tarea para casa
+ */
+app.post('/api/assignments', (req, res) => {
+    try {
+        const { name, deadline } = req.body;
+        const gameSettings = eventValidator.sanitizeGameSettings(req.body.gameSettings ?? {});
+
+        const assignment = assignmentManager.createAssignment({ name, deadline, gameSettings });
+        saveAssignment(assignment.code);
+
+        res.status(201).json(assignmentManager.getSummary(assignment, true));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * Ranking de una tarea: en vivo mientras está abierta, final tras la fecha límite
+ */
+app.get('/api/assignments/:code/leaderboard', (req, res) => {
+    // Si la fecha límite acaba de pasar, el ranking ya es el final
+    closeExpiredAssignments();
+
+    try {
+        res.json(assignmentManager.getLeaderboard(req.params.code.toUpperCase()));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+/**
+ * Cerrar una tarea antes de su fecha límite
+ */
+app.post('/api/assignments/:code/close', (req, res) => {
+    const code = req.params.code.toUpperCase();
+
+    if (!assignmentManager.getAssignment(code)) {
+        return res.status(404).json({ error: 'Tarea no encontrada' });
+    }
+
+    const assignment = assignmentManager.closeAssignment(code);
+    if (!assignment) {
+        return res.status(409).json({ error: 'La tarea ya está cerrada' });
+    }
+
+    finishAssignment(assignment);
+    res.json(assignmentManager.getLeaderboard(code));
+});
+
 // ==========================================
 // INICIAR SERVIDOR
 // ==========================================
 
+// Cargar los conjuntos del profesor y las tareas, y después reanudar las partidas guardadas antes del reinicio
+loadQuestionSets()
+    .then(loadAssignments)
+    .then(restoreActiveGames)
+    .catch(error => {
+        console.error('❌ Error cargando datos guardados:', error);
+    });
+
+// Cerrar las tareas vencidas aunque nadie consulte su ranking
+setInterval(closeExpiredAssignments, ASSIGNMENT_CHECK_INTERVAL).unref();
+
 server.listen(PORT, () => {
     console.log(`
 🚀 Servidor Math Battle iniciado
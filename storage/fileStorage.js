@@ -0,0 +1,145 @@
+// storage/fileStorage.js - Almacenamiento en Archivos JSON del Juego Math Battle
+
+/**
+ * FILESTORAGE - Motor de almacenamiento por defecto
+ * 
+ * Estructura en disco:
+ *   <dataDir>/results/<gameId>.json    Resultados finales de cada partida
+ *   <dataDir>/sessions/<roomCode>.json Snapshots de sesiones activas
+ *   <dataDir>/question-sets/<id>.json  Conjuntos de preguntas del profesor
+ *   <dataDir>/assignments/<code>.json  Tareas para casa con el progreso de los alumnos
+ * 
+ * Las escrituras usan un archivo temporal + rename para no dejar JSON a medias.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import StorageAdapter from './storageAdapter.js';
+
+class FileStorage extends StorageAdapter {
+    /**
+     * @param {string} dataDir - Directorio donde se guardan los datos
+     */
+    constructor(dataDir) {
+        super();
+        
+        this.resultsDir = path.join(dataDir, 'results');
+        this.sessionsDir = path.join(dataDir, 'sessions');
+        this.questionSetsDir = path.join(dataDir, 'question-sets');
+        this.assignmentsDir = path.join(dataDir, 'assignments');
+        
+        console.log(`💾 [FileStorage] Almacenamiento en ${dataDir}`);
+    }
+
+    async saveGameResults(finalResults) {
+        await this.writeJson(this.resultsDir, finalResults.gameId, finalResults);
+    }
+
+    async getGameResults(gameId) {
+        return this.readJson(path.join(this.resultsDir, `${this.safeName(gameId)}.json`));
+    }
+
+    async listGameResults() {
+        const results = await this.readAll(this.resultsDir);
+        return results.sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+    }
+
+    async saveSessionSnapshot(roomCode, snapshot) {
+        await this.writeJson(this.sessionsDir, roomCode, snapshot);
+    }
+
+    async listSessionSnapshots() {
+        return this.readAll(this.sessionsDir);
+    }
+
+    async deleteSessionSnapshot(roomCode) {
+        await fs.rm(path.join(this.sessionsDir, `${this.safeName(roomCode)}.json`), { force: true });
+    }
+
+    async saveQuestionSet(questionSet) {
+        await this.writeJson(this.questionSetsDir, questionSet.id, questionSet);
+    }
+
+    async listQuestionSets() {
+        return this.readAll(this.questionSetsDir);
+    }
+
+    async deleteQuestionSet(setId) {
+        await fs.rm(path.join(this.questionSetsDir, `${this.safeName(setId)}.json`), { force: true });
+    }
+
+    async saveAssignment(assignment) {
+        await this.writeJson(this.assignmentsDir, assignment.code, assignment);
+    }
+
+    async listAssignments() {
+        return this.readAll(this.assignmentsDir);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES PRIVADOS
+    // ==========================================
+
+    /**
+     * Escribir un objeto como JSON de forma atómica
+     * @private
+     */
+    async writeJson(dir, name, data) {
+        await fs.mkdir(dir, { recursive: true });
+        
+        const filePath = path.join(dir, `${this.safeName(name)}.json`);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.rename(tmpPath, filePath);
+    }
+
+    /**
+     * Leer un archivo JSON (null si no existe)
+     * @private
+     */
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Leer todos los archivos JSON de un directorio
+     * @private
+     */
+    async readAll(dir) {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        
+        const entries = await Promise.all(
+            files
+                .filter(file => file.endsWith('.json'))
+                .map(file => this.readJson(path.join(dir, file)))
+        );
+        
+        return entries.filter(entry => entry !== null);
+    }
+
+    /**
+     * Limitar un identificador a caracteres seguros para nombres de archivo
+     * @private
+     */
+    safeName(name) {
+        return String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+}
+
+export default FileStorage;
@@ -0,0 +1,85 @@
+// storage/memoryStorage.js - Almacenamiento en Memoria del Juego Math Battle
+
+/**
+ * MEMORYSTORAGE - Motor de almacenamiento sin persistencia
+ * 
+ * Útil en desarrollo o cuando no se quiere escribir en disco:
+ * los datos se pierden al reiniciar el servidor.
+ */
+
+import StorageAdapter from './storageAdapter.js';
+
+class MemoryStorage extends StorageAdapter {
+    constructor() {
+        super();
+        
+        // Resultados finales { gameId: finalResults }
+        this.results = new Map();
+        
+        // Snapshots de sesiones activas { roomCode: snapshot }
+        this.snapshots = new Map();
+        
+        // Conjuntos de preguntas del profesor { setId: questionSet }
+        this.questionSets = new Map();
+        
+        // Tareas para casa { code: assignment }
+        this.assignments = new Map();
+    }
+
+    async saveGameResults(finalResults) {
+        this.results.set(finalResults.gameId, this.clone(finalResults));
+    }
+
+    async getGameResults(gameId) {
+        const results = this.results.get(gameId);
+        return results ? this.clone(results) : null;
+    }
+
+    async listGameResults() {
+        return Array.from(this.results.values())
+            .map(results => this.clone(results))
+            .reverse();
+    }
+
+    async saveSessionSnapshot(roomCode, snapshot) {
+        this.snapshots.set(roomCode, this.clone(snapshot));
+    }
+
+    async listSessionSnapshots() {
+        return Array.from(this.snapshots.values()).map(snapshot => this.clone(snapshot));
+    }
+
+    async deleteSessionSnapshot(roomCode) {
+        this.snapshots.delete(roomCode);
+    }
+
+    async saveQuestionSet(questionSet) {
+        this.questionSets.set(questionSet.id, this.clone(questionSet));
+    }
+
+    async listQuestionSets() {
+        return Array.from(this.questionSets.values()).map(questionSet => this.clone(questionSet));
+    }
+
+    async deleteQuestionSet(setId) {
+        this.questionSets.delete(setId);
+    }
+
+    async saveAssignment(assignment) {
+        this.assignments.set(assignment.code, this.clone(assignment));
+    }
+
+    async listAssignments() {
+        return Array.from(this.assignments.values()).map(assignment => this.clone(assignment));
+    }
+
+    /**
+     * Copiar datos igual que si pasaran por disco (las fechas quedan como texto ISO)
+     * @private
+     */
+    clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
+
+export default MemoryStorage;
@@ -0,0 +1,114 @@
+// storage/storageAdapter.js - Interfaz de Almacenamiento del Juego Math Battle
+
+/**
+ * STORAGEADAPTER - Contrato común para los motores de almacenamiento
+ * 
+ * Funcionalidades principales:
+ * - Guardar y consultar resultados finales de partidas
+ * - Guardar snapshots de sesiones activas para reanudarlas tras un reinicio
+ * - Guardar los conjuntos de preguntas creados por el profesor
+ * - Guardar las tareas para casa con el progreso de cada alumno
+ * 
+ * Cada motor (archivo, memoria, base de datos...) extiende esta clase
+ * e implementa todos sus métodos de forma asíncrona.
+ */
+
+class StorageAdapter {
+    /**
+     * Guardar resultados finales de una partida
+     * @param {Object} finalResults - Resultados devueltos por GameLogic.getFinalResults
+     * @returns {Promise<void>}
+     */
+    async saveGameResults(finalResults) {
+        throw new Error(`${this.constructor.name}.saveGameResults no implementado`);
+    }
+
+    /**
+     * Obtener resultados finales de una partida
+     * @param {string} gameId - ID de la partida
+     * @returns {Promise<Object|null>} Resultados o null si no existen
+     */
+    async getGameResults(gameId) {
+        throw new Error(`${this.constructor.name}.getGameResults no implementado`);
+    }
+
+    /**
+     * Listar resultados guardados (más recientes primero)
+     * @returns {Promise<Array>} Array de resultados
+     */
+    async listGameResults() {
+        throw new Error(`${this.constructor.name}.listGameResults no implementado`);
+    }
+
+    /**
+     * Guardar snapshot de una sesión activa
+     * @param {string} roomCode - Código de la sala
+     * @param {Object} snapshot - Estado serializable de sala, jugadores y sesión
+     * @returns {Promise<void>}
+     */
+    async saveSessionSnapshot(roomCode, snapshot) {
+        throw new Error(`${this.constructor.name}.saveSessionSnapshot no implementado`);
+    }
+
+    /**
+     * Listar todos los snapshots de sesiones activas
+     * @returns {Promise<Array>} Array de snapshots
+     */
+    async listSessionSnapshots() {
+        throw new Error(`${this.constructor.name}.listSessionSnapshots no implementado`);
+    }
+
+    /**
+     * Eliminar el snapshot de una sesión (terminada o cerrada)
+     * @param {string} roomCode - Código de la sala
+     * @returns {Promise<void>}
+     */
+    async deleteSessionSnapshot(roomCode) {
+        throw new Error(`${this.constructor.name}.deleteSessionSnapshot no implementado`);
+    }
+
+    /**
+     * Guardar (crear o reemplazar) un conjunto de preguntas del profesor
+     * @param {Object} questionSet - Conjunto normalizado por QuestionBank.createCustomSet
+     * @returns {Promise<void>}
+     */
+    async saveQuestionSet(questionSet) {
+        throw new Error(`${this.constructor.name}.saveQuestionSet no implementado`);
+    }
+
+    /**
+     * Listar todos los conjuntos de preguntas guardados
+     * @returns {Promise<Array>} Array de conjuntos
+     */
+    async listQuestionSets() {
+        throw new Error(`${this.constructor.name}.listQuestionSets no implementado`);
+    }
+
+    /**
+     * Eliminar un conjunto de preguntas
+     * @param {string} setId - ID del conjunto
+     * @returns {Promise<void>}
+     */
+    async deleteQuestionSet(setId) {
+        throw new Error(`${this.constructor.name}.deleteQuestionSet no implementado`);
+    }
+
+    /**
+     * Guardar (crear o reemplazar) una tarea para casa
+     * @param {Object} assignment - Tarea exportada por AssignmentManager.exportAssignment
+     * @returns {Promise<void>}
+     */
+    async saveAssignment(assignment) {
+        throw new Error(`${this.constructor.name}.saveAssignment no implementado`);
+    }
+
+    /**
+     * Listar todas las tareas guardadas
+     * @returns {Promise<Array>} Array de tareas
+     */
+    async listAssignments() {
+        throw new Error(`${this.constructor.name}.listAssignments no implementado`);
+    }
+}
+
+export default StorageAdapter;
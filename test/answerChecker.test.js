@@ -0,0 +1,28 @@
+// test/answerChecker.test.js - Pruebas de la corrección de respuestas
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AnswerChecker from '../controllers/answerChecker.js';
+
+const answerChecker = new AnswerChecker();
+
+const numeric = (correctAnswer, tolerance) => ({ type: 'numeric', correctAnswer, tolerance });
+
+test('"2.904" es decimal: no vale para 2904', () => {
+    assert.equal(answerChecker.check(numeric(2904), '2.904'), false);
+    assert.equal(answerChecker.check(numeric(2.904), '2.904'), true);
+});
+
+test('"2,904" son miles: no vale para 2.904', () => {
+    assert.equal(answerChecker.check(numeric(2.904), '2,904'), false);
+    assert.equal(answerChecker.check(numeric(2904), '2,904'), true);
+    assert.equal(answerChecker.check(numeric('2,904'), '2904'), true);
+});
+
+test('otras formas de escribir el número siguen valiendo', () => {
+    assert.equal(answerChecker.check(numeric(2904), '2 904'), true);
+    assert.equal(answerChecker.check(numeric(0.5), '0,5'), true);
+    assert.equal(answerChecker.check(numeric(0.5), '1/2'), true);
+    assert.equal(answerChecker.check(numeric(1234.5), '1.234,5'), true);
+    assert.equal(answerChecker.check(numeric(113.04, { absolute: 0.1 }), '113 cm²'), true);
+});
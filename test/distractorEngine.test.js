@@ -0,0 +1,56 @@
+// test/distractorEngine.test.js - Pruebas del generador de distractores
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DistractorEngine from '../controllers/distractorEngine.js';
+import SeededRandom from '../controllers/seededRandom.js';
+
+const rng = new SeededRandom('distractores');
+const distractorEngine = new DistractorEngine(() => rng.next());
+
+/**
+ * Los distractores son distintos entre sí y de la respuesta, y no negativos si la respuesta no lo es
+ */
+const assertValidDistractors = (correct, distractors, count) => {
+    const values = distractors.map(d => d.value);
+    assert.equal(values.length, count);
+    assert.equal(new Set([correct, ...values]).size, count + 1, `${correct}: ${values}`);
+    values.forEach(value => assert.ok(Number.isInteger(value) && value >= 0, `${correct}: ${value}`));
+};
+
+test('select termina y da distractores válidos con respuestas 0 y 1', () => {
+    [0, 1].forEach(correct => {
+        // Candidatos inservibles: repetidos, negativos, decimales o iguales a la respuesta
+        const candidates = [
+            { value: correct, misconception: 'off_by_one' },
+            { value: -1, misconception: 'off_by_one' },
+            { value: 0.5, misconception: 'place_value' }
+        ];
+        assertValidDistractors(correct, distractorEngine.select(correct, candidates, 3), 3);
+        assertValidDistractors(correct, distractorEngine.select(correct, [], 5), 5);
+    });
+});
+
+test('los distractores de cada operación son distintos y no negativos', () => {
+    for (let i = 0; i < 200; i++) {
+        const a = 1 + Math.floor(rng.next() * 500);
+        const b = 1 + Math.floor(rng.next() * 500);
+        const [big, small] = a >= b ? [a, b] : [b, a];
+        const base = 2 + Math.floor(rng.next() * 8);
+        const exponent = 2 + Math.floor(rng.next() * 3);
+        const root = 1 + Math.floor(rng.next() * 20);
+
+        const cases = [
+            ['addition', [a, b], a + b],
+            ['subtraction', [big, small], big - small],
+            ['multiplication', [a, b], a * b],
+            ['division', [a * b, b], a],
+            ['exponent', [base, exponent], Math.pow(base, exponent)],
+            ['squareroot', [root * root], root]
+        ];
+
+        cases.forEach(([operation, operands, correct]) => {
+            assertValidDistractors(correct, distractorEngine.generate(operation, operands, correct), 3);
+        });
+    }
+});
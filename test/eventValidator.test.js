@@ -0,0 +1,44 @@
+// test/eventValidator.test.js - Pruebas de la validación de eventos
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EventValidator from '../controllers/eventValidator.js';
+import RoomManager from '../controllers/roomManager.js';
+import QuestionBank from '../controllers/questionBank.js';
+import ScoringEngine from '../controllers/scoringEngine.js';
+
+// Sin el intervalo de limpieza de salas, que no dejaría terminar las pruebas
+mock.timers.enable({ apis: ['setInterval'] });
+const roomManager = new RoomManager();
+mock.timers.reset();
+
+const eventValidator = new EventValidator(roomManager, new QuestionBank(), new ScoringEngine());
+
+const rejects = (settings, field) => assert.throws(
+    () => eventValidator.validate('update-settings', { roomCode: 'ABC123', settings }),
+    error => error.code === 'INVALID_FIELD' && error.field === `settings.${field}`
+);
+
+test('los ajustes inválidos se rechazan indicando el campo', () => {
+    rejects({ gameMode: 'survival' }, 'gameMode');
+    rejects({ teams: 9 }, 'teams');
+    rejects({ teams: ['Rojo', 'rojo'] }, 'teams');
+    rejects({ teamScoring: 'max' }, 'teamScoring');
+    rejects({ seed: '' }, 'seed');
+    rejects({ questionTypes: ['essay'] }, 'questionTypes');
+    rejects({ scoring: 'inventado' }, 'scoring');
+    rejects({ adaptiveDifficulty: 'yes' }, 'adaptiveDifficulty');
+    rejects({ teamMode: 1 }, 'teamMode');
+    rejects({ hostReveal: 'true' }, 'hostReveal');
+    rejects({ questionSetId: 'no-existe' }, 'questionSetId');
+    rejects({ categories: ['arithmetic', 'astronomy'] }, 'categories');
+});
+
+test('los ajustes válidos pasan y los números se ajustan a su rango', () => {
+    const { settings } = eventValidator.validate('update-settings', {
+        roomCode: 'abc123',
+        settings: { gameMode: 'lives', teams: [' Rojo ', 'Azul'], seed: 42, maxPlayers: 100, categories: ['logic'], desconocido: true }
+    });
+
+    assert.deepEqual(settings, { gameMode: 'lives', teams: ['Rojo', 'Azul'], seed: 42, maxPlayers: 30, categories: ['logic'] });
+});
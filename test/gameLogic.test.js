@@ -0,0 +1,51 @@
+// test/gameLogic.test.js - Pruebas de la lógica de partida
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameLogic from '../controllers/gameLogic.js';
+
+const gameLogic = new GameLogic();
+
+test('solo los jugadores del duelo pueden responder en su sesión', () => {
+    const matchCode = 'ABC123-R1-M1';
+    const players = [{ id: 'p1', name: 'Ana' }, { id: 'p2', name: 'Luis' }];
+
+    const session = gameLogic.initializeGame(matchCode, players, { totalQuestions: 1 });
+    const [question] = session.questions;
+    gameLogic.setCurrentQuestion(matchCode, question);
+
+    assert.throws(() => gameLogic.processAnswer(matchCode, 'p3', question.correctAnswer), /No participas/);
+
+    const result = gameLogic.processAnswer(matchCode, 'p1', question.correctAnswer);
+    assert.equal(result.isCorrect, true);
+
+    gameLogic.closeGameSession(matchCode);
+});
+
+test('en modo adaptativo todos puntúan con la dificultad de la sala', () => {
+    const roomCode = 'ADP123';
+    const players = [{ id: 'fuerte', name: 'Ana' }, { id: 'flojo', name: 'Luis' }];
+
+    const session = gameLogic.initializeGame(roomCode, players, {
+        totalQuestions: 1,
+        adaptiveDifficulty: true,
+        difficultyLevel: 'medium',
+        scoring: 'accuracy' // Sin bonus por velocidad: solo cuenta la dificultad
+    });
+    session.playerDifficulty.set('fuerte', 'hard');
+    session.playerDifficulty.set('flojo', 'easy');
+    gameLogic.setCurrentQuestion(roomCode, session.questions[0]);
+
+    const answerCorrectly = (playerId) => gameLogic.processAnswer(
+        roomCode, playerId, gameLogic.getPlayerQuestion(roomCode, playerId).correctAnswer
+    );
+    const strong = answerCorrectly('fuerte');
+    const weak = answerCorrectly('flojo');
+
+    assert.equal(strong.difficulty, 'hard');
+    assert.equal(weak.difficulty, 'easy');
+    assert.equal(strong.isCorrect && weak.isCorrect, true);
+    assert.equal(strong.pointsEarned, weak.pointsEarned);
+
+    gameLogic.closeGameSession(roomCode);
+});
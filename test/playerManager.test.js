@@ -0,0 +1,23 @@
+// test/playerManager.test.js - Pruebas del gestor de jugadores
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PlayerManager from '../controllers/playerManager.js';
+import QuestionBank from '../controllers/questionBank.js';
+import ScoringEngine from '../controllers/scoringEngine.js';
+
+test('las estadísticas por categoría empiezan con todas las del banco a 0', () => {
+    const questionBank = new QuestionBank();
+    const playerManager = new PlayerManager(new ScoringEngine(), questionBank);
+    const expected = Object.fromEntries(questionBank.getCategories().map(category => [category.id, 0]));
+
+    const player = playerManager.createPlayer('socket-1', 'Ana');
+    assert.deepEqual(player.gameStats.correctByCategory, expected);
+
+    // Las categorías de un conjunto del profesor se añaden al responder
+    playerManager.updatePlayerScore(player.id, 100, true, 1000, 'conjunto-propio');
+    assert.equal(player.gameStats.correctByCategory['conjunto-propio'], 1);
+
+    playerManager.resetPlayerGameStats(player.id);
+    assert.deepEqual(player.gameStats.correctByCategory, expected);
+});
@@ -0,0 +1,68 @@
+// test/questionBank.test.js - Pruebas del banco de preguntas
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QuestionBank from '../controllers/questionBank.js';
+
+const questionBank = new QuestionBank();
+
+test('las fracciones que hay que simplificar no se preguntan como respuesta libre', () => {
+    const questions = questionBank.getQuestionSet(60, 'medium', ['fractions'], 30, null, ['numeric'], 'fracciones');
+    const simplify = questions.filter(q => /simplifica/i.test(q.question));
+
+    assert.ok(simplify.length > 0);
+    simplify.forEach(q => {
+        assert.equal(q.type, 'multiple_choice', q.question);
+        assert.equal(q.lowestTerms, true);
+    });
+
+    // Las demás preguntas de fracciones con respuesta numérica sí pasan a respuesta libre
+    assert.ok(questions.some(q => q.type === 'numeric'));
+});
+
+test('una fracción sin simplificar no vale como respuesta de simplificación', () => {
+    const [question] = questionBank.getQuestionSet(40, 'medium', ['fractions'], 30, null, ['numeric'], 7)
+        .filter(q => /^Simplifica la fracción/.test(q.question));
+    const unsimplified = question.question.match(/(\d+\/\d+)$/)[1];
+
+    assert.equal(questionBank.answerChecker.grade(question, unsimplified).isCorrect, false);
+    assert.equal(questionBank.answerChecker.grade(question, question.correctAnswer).isCorrect, true);
+});
+
+test('la misma semilla genera las mismas preguntas con las opciones en el mismo orden', () => {
+    const categories = ['arithmetic', 'logic', 'geometry', 'fractions', 'algebra'];
+    const types = ['multiple_choice', 'numeric', 'true_false', 'multi_select', 'ordering'];
+    const generate = (seed) => questionBank.getQuestionSet(20, 'medium', categories, 30, null, types, seed);
+
+    const first = generate('clase-3B');
+    assert.deepEqual(generate('clase-3B'), first);
+
+    const other = generate('clase-3C');
+    assert.notDeepEqual(other.map(q => [q.question, q.options]), first.map(q => [q.question, q.options]));
+});
+
+/**
+ * Comprobar que en todas las preguntas de una categoría (con semilla, en las tres dificultades)
+ * la respuesta correcta está entre las opciones y no hay opciones repetidas
+ */
+const assertValidOptions = (category) => {
+    ['easy', 'medium', 'hard'].forEach(difficulty => {
+        const questions = questionBank.getQuestionSet(50, difficulty, [category], 30, null, ['multiple_choice'], `${category}-${difficulty}`);
+        questions.forEach(q => {
+            assert.ok(q.options.includes(q.correctAnswer), q.question);
+            assert.equal(new Set(q.options).size, q.options.length, q.question);
+        });
+    });
+};
+
+test('las preguntas de geometría incluyen la respuesta correcta y opciones sin repetir', () => {
+    assertValidOptions('geometry');
+});
+
+test('las preguntas de lógica y secuencias incluyen la respuesta correcta y opciones sin repetir', () => {
+    assertValidOptions('logic');
+});
+
+test('las preguntas de álgebra incluyen la respuesta correcta y opciones sin repetir', () => {
+    assertValidOptions('algebra');
+});
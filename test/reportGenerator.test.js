@@ -0,0 +1,58 @@
+// test/reportGenerator.test.js - Pruebas de los informes para el profesor
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ReportGenerator from '../controllers/reportGenerator.js';
+
+const reportGenerator = new ReportGenerator();
+
+/**
+ * Informe mínimo con un alumno y una pregunta
+ */
+function buildReport(playerName, answer, score = 100) {
+    return {
+        questions: [{ questionNumber: 1 }],
+        students: [{
+            rank: 1,
+            playerName: playerName,
+            score: score,
+            correctAnswers: 0,
+            answered: 1,
+            totalQuestions: 1,
+            accuracy: 0,
+            averageResponseTime: 1500,
+            answers: { 1: { answer: answer, isCorrect: false } }
+        }]
+    };
+}
+
+/**
+ * Celdas de la fila del alumno
+ */
+function studentRow(csv) {
+    return csv.replace('\uFEFF', '').split('\r\n')[1];
+}
+
+test('los nombres y respuestas que empiezan como fórmula se exportan como texto', () => {
+    const csv = reportGenerator.toCsv(buildReport('=HYPERLINK("http://x","ver")', '@SUM(A1)'));
+    const row = studentRow(csv);
+
+    assert.ok(row.includes(`"'=HYPERLINK(""http://x"",""ver"")"`));
+    assert.ok(row.includes(`'@SUM(A1)`));
+});
+
+test('se neutralizan +, -, tabulador y retorno de carro al inicio de la celda', () => {
+    for (const prefix of ['+', '-', '\t', '\r']) {
+        const row = studentRow(reportGenerator.toCsv(buildReport('Ana', `${prefix}1+1`)));
+        const cell = prefix === '\r' ? `"'\r1+1"` : `'${prefix}1+1`;
+        assert.ok(row.includes(cell), `prefijo ${JSON.stringify(prefix)}`);
+    }
+});
+
+test('los números negativos y los textos normales no cambian', () => {
+    const row = studentRow(reportGenerator.toCsv(buildReport('Ana', 'x = 5', -20)));
+
+    assert.equal(row.split(',')[2], '-20');
+    assert.ok(row.startsWith('1,Ana,'));
+    assert.ok(row.includes(',x = 5,'));
+});
@@ -0,0 +1,23 @@
+// test/roomManager.test.js - Pruebas del gestor de salas
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from '../controllers/roomManager.js';
+
+// Sin el intervalo de limpieza de salas, que no dejaría terminar las pruebas
+mock.timers.enable({ apis: ['setInterval'] });
+const roomManager = new RoomManager();
+mock.timers.reset();
+
+test('un jugador vetado no vuelve ni cambiando el nombre de forma ni con su token', () => {
+    const room = roomManager.createRoom('host-socket');
+    roomManager.banPlayer(room.code, { id: 'p1', name: '  Ana ' }, 'token-ana');
+
+    assert.equal(roomManager.isPlayerBanned(room.code, { playerName: 'ana' }), true);
+    assert.equal(roomManager.isPlayerBanned(room.code, { playerName: ' ANA' }), true);
+    assert.equal(roomManager.isPlayerBanned(room.code, { playerName: 'Otra', reconnectToken: 'token-ana' }), true);
+    assert.equal(roomManager.isPlayerBanned(room.code, { playerId: 'p1' }), true);
+    assert.equal(roomManager.isPlayerBanned(room.code, { playerName: 'Luis', reconnectToken: 'token-luis' }), false);
+
+    roomManager.closeRoom(room.code);
+});